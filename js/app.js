@@ -1,16 +1,30 @@
 // ===== DuckDB-WASM Survey Explorer =====
 // Main application entry point
 
-import * as duckdb from 'https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@1.28.0/+esm';
+import { isMultiSelect, columnSource, joinOptionsSql, matchValueSql, matchValuesSql } from './multiselect.js';
+import { createGroup, createCondition, normalizeExpression, compileExpression, describeExpression } from './filterexpr.js';
+import { columnLabels as codebookLabels, isOrdinal, sortByCodebook } from './codebook.js';
+import { chiSquareTest, criticalZ, formatPValue, wilsonInterval, twoProportionTest, SIGNIFICANCE_LEVEL } from './stats.js';
+import { sql, raw, join, int, whereSql, column as columnRef, table as tableName, execute, toDisplaySql } from './query.js';
+import { CUSTOM_TABLE, loadCustomSurvey } from './customdata.js';
+import { CODEMIRROR_SOURCES } from './assets.js';
+import { openSurveyDatabase } from './database.js';
+import { CHART_COLORS, CROSSTAB_METRIC_LABELS, escapeHtml, truncateText, crosstabValue, getHeatmapColor, compareProportions } from './charts.js';
+import { writeXlsx, resultSheet } from './xlsx.js';
+import { TREND_TABLE, CURRENT_YEAR, surveyYears, yearHasColumn } from './datasets.js';
+import { readUrlState, writeUrlState, explorerUrl } from './urlstate.js';
+import { REPORT_TABLES, REPORT_STATS, KEY_FINDINGS, computeReportTable, computeSegmentTable, computeReportStat, formatReportValue, matchesQuoted } from './report.js';
 
 let db = null;
 let conn = null;
 let editor = null;
 let lastSqlResults = null; // Store last query results for export
+let surveySchema = []; // DESCRIBE rows for the survey view
 let codeMirrorLoaded = false; // Lazy-load tracking
 let codeMirrorLoading = false;
 let responsesSearchTerm = ''; // Search term for responses tab
 let compareMode = false; // Comparison mode state
+let trendMode = false; // Survey years side by side
 
 // Chart filters - applied by clicking on chart bars
 // Structure: { column: value, ... }
@@ -19,12 +33,6 @@ const chartFilters = {};
 // Chart display mode: 'count' or 'percent'
 let chartMetric = 'count';
 
-// Chart colors from CSS variables
-const CHART_COLORS = [
-    '#58a6ff', '#3fb950', '#d29922', '#f85149', 
-    '#a371f7', '#db61a2', '#79c0ff', '#7ee787'
-];
-
 // ===== Loading Progress =====
 function updateLoadingProgress(message, percent) {
     const textEl = document.querySelector('.loading-text');
@@ -41,46 +49,29 @@ function updateLoadingProgress(message, percent) {
 async function init() {
     try {
         console.log('Initializing DuckDB-WASM...');
-        updateLoadingProgress('Initializing DuckDB engine...', 10);
-        
-        // Initialize DuckDB using the jsdelivr CDN bundles
-        const JSDELIVR_BUNDLES = duckdb.getJsDelivrBundles();
-        
-        // Select the best bundle for this browser
-        const bundle = await duckdb.selectBundle(JSDELIVR_BUNDLES);
-        
-        // Create worker URL
-        const worker_url = URL.createObjectURL(
-            new Blob([`importScripts("${bundle.mainWorker}");`], { type: 'text/javascript' })
-        );
         
-        const worker = new Worker(worker_url);
-        const logger = new duckdb.ConsoleLogger();
-        db = new duckdb.AsyncDuckDB(logger, worker);
-        
-        await db.instantiate(bundle.mainModule, bundle.pthreadWorker);
-        URL.revokeObjectURL(worker_url);
-        updateLoadingProgress('Connecting to database...', 30);
-        
-        conn = await db.connect();
+        // DuckDB and every survey year, with the schema and bridge tables
+        ({ db, conn, schema: surveySchema } = await openSurveyDatabase({ onProgress: updateLoadingProgress }));
         console.log('DuckDB connection established');
-        updateLoadingProgress('Loading survey data...', 50);
         
-        // Load the Parquet file
-        await loadData();
+        await showResponseCounts();
         updateLoadingProgress('Initializing filters...', 65);
         
         // Initialize the UI
         await initializeFilters();
         
         // Restore state from URL (after filters are populated)
-        restoreStateFromUrl();
+        await restoreStateFromUrl();
         
         // Restore filters from localStorage if no URL params
-        restoreFiltersFromLocalStorage();
+        await restoreFiltersFromLocalStorage();
+        
+        // The saved Min n applies from the first render
+        initializeMinBase();
         
         updateLoadingProgress('Rendering charts...', 80);
         await updateCharts();
+        await renderLiveReport();
         
         updateLoadingProgress('Setting up interface...', 90);
         initializeTabs();
@@ -96,15 +87,21 @@ async function init() {
         initializeThemeToggle();
         initializeChartExport();
         initializeReportToc();
+        initializeReportSegment();
         initializeScrollToTop();
         initializeKeyboardShortcuts();
         initializeShortcutsModal();
         initializeChartTooltip();
         initializeSqlHistory();
+        initializeCustomData();
         initializeComparisonMode();
+        initializeTrendMode();
         initializeChartEmbed();
+        initializeSegments();
+        initializeAdvancedFilter();
         
         updateLoadingProgress('Ready!', 100);
+        registerServiceWorker();
         
         // Hide loading overlay
         setTimeout(() => {
@@ -120,38 +117,29 @@ async function init() {
 }
 
 // ===== URL State Management =====
-function restoreStateFromUrl() {
-    const params = new URLSearchParams(window.location.search);
-    
-    // Restore sidebar filters
-    for (const [selectId, column] of Object.entries(filterConfig)) {
-        const value = params.get(column);
-        if (value) {
-            const select = document.getElementById(selectId);
-            // Check if the value exists in options
-            const optionExists = Array.from(select.options).some(opt => opt.value === value);
-            if (optionExists) {
-                select.value = value;
-            }
-        }
+async function restoreStateFromUrl() {
+    // Format in urlstate.js; older links are read too
+    const { filters, tab } = readUrlState(new URLSearchParams(window.location.search), filterableColumns);
+    
+    // Restore sidebar filters. Any schema column may appear.
+    for (const [column, filter] of Object.entries(filters.sidebar)) {
+        if (!(await ensureFilterControl(column))) continue;
+        // Values outside the listed options are added to them
+        setSidebarFilter(column, filter.values, filter.mode);
     }
     
     // Restore chart filters
-    const chartFilterParam = params.get('cf');
-    if (chartFilterParam) {
-        try {
-            const filters = JSON.parse(decodeURIComponent(chartFilterParam));
-            for (const [col, val] of Object.entries(filters)) {
-                chartFilters[col] = val;
-            }
-            renderFilterPills();
-        } catch (e) {
-            console.warn('Could not parse chart filters from URL:', e);
-        }
+    if (Object.keys(filters.chart).length > 0) {
+        Object.assign(chartFilters, filters.chart);
+        renderFilterPills();
+    }
+    
+    // Restore advanced filter expression
+    if (filters.advanced) {
+        await setAdvancedFilter(normalizeExpression(filters.advanced, filterableColumns), { refresh: false });
     }
     
     // Restore tab
-    const tab = params.get('tab');
     if (tab) {
         const tabBtn = document.querySelector(`.tab[data-tab="${tab}"]`);
         if (tabBtn) {
@@ -166,26 +154,10 @@ function restoreStateFromUrl() {
 }
 
 function updateUrlState() {
-    const params = new URLSearchParams();
-    
-    // Add sidebar filters
-    for (const [selectId, column] of Object.entries(filterConfig)) {
-        const value = document.getElementById(selectId).value;
-        if (value) {
-            params.set(column, value);
-        }
-    }
-    
-    // Add chart filters
-    if (Object.keys(chartFilters).length > 0) {
-        params.set('cf', encodeURIComponent(JSON.stringify(chartFilters)));
-    }
-    
-    // Add active tab (only if not the default 'report' tab)
+    // Filters and the active tab (only if not the default 'report' tab)
     const activeTab = document.querySelector('.tab.active');
-    if (activeTab && activeTab.dataset.tab !== 'report') {
-        params.set('tab', activeTab.dataset.tab);
-    }
+    const tab = activeTab && activeTab.dataset.tab !== 'report' ? activeTab.dataset.tab : null;
+    const params = writeUrlState(new URLSearchParams(), { filters: getCurrentFilterState(), tab });
     
     // Update URL without reload
     const newUrl = params.toString() 
@@ -201,21 +173,8 @@ function getShareableUrl() {
 }
 
 // ===== Data Loading =====
-async function loadData() {
-    console.log('Loading survey data...');
-    
-    // Register the parquet file
-    const response = await fetch('data/survey.parquet');
-    const buffer = await response.arrayBuffer();
-    
-    await db.registerFileBuffer('survey.parquet', new Uint8Array(buffer));
-    
-    // Create a view from the parquet file
-    await conn.query(`
-        CREATE VIEW survey AS 
-        SELECT * FROM read_parquet('survey.parquet')
-    `);
-    
+// Loading itself is openSurveyDatabase (database.js)
+async function showResponseCounts() {
     // Get total count
     const result = await conn.query('SELECT COUNT(*) as count FROM survey');
     const count = result.toArray()[0].count;
@@ -236,57 +195,491 @@ const filterConfig = {
     'filter-ai-usage': 'ai_usage_frequency'
 };
 
+// Sidebar filters - several values per column, included or excluded
+// Structure: { column: { values: [...], mode: 'include' | 'exclude' }, ... }
+const sidebarFilters = {};
+
+// Columns offered by the "Add filter" builder (every text column in the schema)
+let filterableColumns = [];
+
+// Free-text columns have a long tail; only the most common answers are listed
+const FILTER_VALUE_LIMIT = 100;
+
 async function initializeFilters() {
     for (const [selectId, column] of Object.entries(filterConfig)) {
-        const select = document.getElementById(selectId);
-        
-        // Get distinct values
-        const result = await conn.query(`
-            SELECT DISTINCT ${column} as value, COUNT(*) as count 
-            FROM survey 
-            WHERE ${column} IS NOT NULL 
-            GROUP BY ${column} 
-            ORDER BY count DESC
-        `);
-        
-        const rows = result.toArray();
-        
-        // Populate dropdown
-        for (const row of rows) {
-            const option = document.createElement('option');
-            option.value = row.value;
-            option.textContent = `${row.value} (${row.count})`;
-            select.appendChild(option);
-        }
-        
-        // Add change listener
-        select.addEventListener('change', onFilterChange);
+        renderMultiFilter(selectId, column, await queryFilterValues(column));
     }
     
+    await initializeFilterBuilder();
+    
+    // Close open filter menus on outside click
+    document.addEventListener('click', (e) => {
+        document.querySelectorAll('.multi-filter.open').forEach(control => {
+            if (!control.contains(e.target)) control.classList.remove('open');
+        });
+    });
+    
     // Reset button
     document.getElementById('reset-filters').addEventListener('click', resetFilters);
 }
 
-function getWhereClause() {
+// Distinct values with counts; multi-select columns list their options
+async function queryFilterValues(column) {
+    const source = columnSource(column);
+    const result = await execute(conn, sql`
+        SELECT ${source.expr} as value, COUNT(*) as count 
+        FROM ${source.from} 
+        WHERE ${columnRef(column)} IS NOT NULL AND ${columnRef(column)} <> ''
+        GROUP BY ${source.expr} 
+        ORDER BY count DESC
+        LIMIT ${int(FILTER_VALUE_LIMIT)}
+    `);
+    return sortByCodebook(column, result.toArray(), row => row.value);
+}
+
+// ===== Add Filter Builder =====
+async function initializeFilterBuilder() {
+    filterableColumns = surveySchema
+        .filter(row => row.column_type === 'VARCHAR')
+        .map(row => row.column_name);
+    
+    const select = document.getElementById('add-filter-select');
+    select.addEventListener('change', async () => {
+        const column = select.value;
+        select.value = '';
+        if (!column) return;
+        
+        const selectId = await addDynamicFilter(column);
+        const trigger = document.querySelector(`#${selectId} .multi-filter-trigger`);
+        if (trigger) trigger.click();
+    });
+    
+    refreshAddFilterOptions();
+}
+
+function refreshAddFilterOptions() {
+    const select = document.getElementById('add-filter-select');
+    const labels = getColumnLabel();
+    const shown = Object.values(filterConfig);
+    
+    select.innerHTML = '<option value="">+ Add filter…</option>' + filterableColumns
+        .filter(column => !shown.includes(column))
+        .map(column => `<option value="${escapeHtml(column)}">${escapeHtml(labels[column] || column)}</option>`)
+        .join('');
+    select.disabled = select.options.length <= 1;
+}
+
+// Add a sidebar filter for any schema column; returns its control id
+async function addDynamicFilter(column) {
+    const existingId = Object.keys(filterConfig).find(id => filterConfig[id] === column);
+    if (existingId) return existingId;
+    
+    const selectId = `filter-col-${column}`;
+    const label = getColumnLabel()[column] || column;
+    
+    const group = document.createElement('div');
+    group.className = 'filter-group filter-group-dynamic';
+    group.innerHTML = `
+        <div class="filter-group-header">
+            <label id="${escapeHtml(selectId)}-label">${escapeHtml(label)}</label>
+            <div class="filter-group-actions">
+                <button class="filter-mode-btn" data-filter="${escapeHtml(selectId)}" aria-pressed="false" title="Switch between including and excluding the selected values">Include</button>
+                <button class="filter-remove-btn" aria-label="Remove ${escapeHtml(label)} filter" title="Remove filter">
+                    <svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor">
+                        <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+        <div id="${escapeHtml(selectId)}" class="multi-filter" data-placeholder="Any ${escapeHtml(label)}" aria-labelledby="${escapeHtml(selectId)}-label"></div>
+    `;
+    document.getElementById('dynamic-filters').appendChild(group);
+    filterConfig[selectId] = column;
+    
+    group.querySelector('.filter-remove-btn').addEventListener('click', () => removeDynamicFilter(selectId));
+    
+    renderMultiFilter(selectId, column, await queryFilterValues(column));
+    refreshAddFilterOptions();
+    return selectId;
+}
+
+function removeDynamicFilter(selectId) {
+    const column = filterConfig[selectId];
+    const wasActive = getSidebarFilter(column).values.length > 0;
+    
+    delete sidebarFilters[column];
+    delete filterConfig[selectId];
+    document.getElementById(selectId).closest('.filter-group').remove();
+    refreshAddFilterOptions();
+    
+    if (wasActive) onFilterChange();
+}
+
+// Make sure a sidebar control exists for `column` before restoring its state
+async function ensureFilterControl(column) {
+    if (Object.values(filterConfig).includes(column)) return true;
+    if (!filterableColumns.includes(column)) return false;
+    await addDynamicFilter(column);
+    return true;
+}
+
+function renderMultiFilter(selectId, column, rows) {
+    const control = document.getElementById(selectId);
+    const modeBtn = document.querySelector(`.filter-mode-btn[data-filter="${CSS.escape(selectId)}"]`);
+    
+    control.innerHTML = `
+        <button type="button" class="filter-select multi-filter-trigger" aria-haspopup="true" aria-expanded="false"></button>
+        <div class="multi-filter-menu">
+            ${rows.map(row => multiFilterOptionHtml(row.value, Number(row.count).toLocaleString())).join('')}
+        </div>
+    `;
+    
+    const trigger = control.querySelector('.multi-filter-trigger');
+    trigger.addEventListener('click', () => {
+        const isOpen = control.classList.toggle('open');
+        trigger.setAttribute('aria-expanded', isOpen);
+    });
+    
+    control.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && control.classList.contains('open')) {
+            e.stopPropagation();
+            control.classList.remove('open');
+            trigger.setAttribute('aria-expanded', 'false');
+            trigger.focus();
+        }
+    });
+    
+    // Delegated, so options added by setSidebarFilter work too
+    control.addEventListener('change', (e) => {
+        if (!e.target.matches('input[type="checkbox"]')) return;
+        const values = Array.from(control.querySelectorAll('input:checked')).map(cb => cb.value);
+        setSidebarFilter(column, values, getSidebarFilter(column).mode);
+        onFilterChange();
+    });
+    
+    if (modeBtn) {
+        modeBtn.addEventListener('click', () => {
+            const filter = getSidebarFilter(column);
+            setSidebarFilter(column, filter.values, filter.mode === 'exclude' ? 'include' : 'exclude');
+            if (filter.values.length > 0) onFilterChange();
+        });
+    }
+    
+    syncFilterControl(selectId);
+}
+
+function multiFilterOptionHtml(value, count) {
+    return `
+                <label class="multi-filter-option">
+                    <input type="checkbox" value="${escapeHtml(value)}">
+                    <span class="multi-filter-value">${escapeHtml(value)}</span>
+                    <span class="multi-filter-count">${count}</span>
+                </label>`;
+}
+
+// Restored values outside the listed top answers (FILTER_VALUE_LIMIT) get an
+// option of their own, so a shared link or segment applies as saved
+function addFilterOptions(control, column, values) {
+    const menu = control.querySelector('.multi-filter-menu');
+    for (const value of values) {
+        menu.insertAdjacentHTML('beforeend', multiFilterOptionHtml(value, '…'));
+        const countEl = menu.lastElementChild.querySelector('.multi-filter-count');
+        execute(conn, sql`SELECT COUNT(*) as count FROM survey WHERE ${matchValueSql(column, value)}`)
+            .then(result => { countEl.textContent = Number(result.toArray()[0].count).toLocaleString(); })
+            .catch(error => { console.warn(`Could not count ${column} = ${value}:`, error); });
+    }
+}
+
+function getSidebarFilter(column) {
+    return sidebarFilters[column] || { values: [], mode: 'include' };
+}
+
+// Update filter state and reflect it in the sidebar control. Values that
+// are not among the control's options are added to it.
+function setSidebarFilter(column, values, mode = 'include') {
+    const selectId = Object.keys(filterConfig).find(id => filterConfig[id] === column);
+    const control = selectId ? document.getElementById(selectId) : null;
+    
+    const validValues = [...new Set(values.filter(v => typeof v === 'string' && v !== ''))];
+    if (control) {
+        const options = Array.from(control.querySelectorAll('input[type="checkbox"]')).map(cb => cb.value);
+        addFilterOptions(control, column, validValues.filter(v => !options.includes(v)));
+    }
+    
+    if (validValues.length === 0 && mode === 'include') {
+        delete sidebarFilters[column];
+    } else {
+        sidebarFilters[column] = { values: validValues, mode: mode === 'exclude' ? 'exclude' : 'include' };
+    }
+    
+    if (selectId) syncFilterControl(selectId);
+    return validValues.length > 0;
+}
+
+function syncFilterControl(selectId) {
+    const control = document.getElementById(selectId);
+    const modeBtn = document.querySelector(`.filter-mode-btn[data-filter="${CSS.escape(selectId)}"]`);
+    const { values, mode } = getSidebarFilter(filterConfig[selectId]);
+    
+    control.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+        cb.checked = values.includes(cb.value);
+    });
+    
+    let summary;
+    if (values.length === 0) {
+        summary = control.dataset.placeholder;
+    } else if (values.length === 1) {
+        summary = values[0];
+    } else {
+        summary = `${values.length} selected`;
+    }
+    if (values.length > 0 && mode === 'exclude') summary = `Not ${summary}`;
+    
+    const trigger = control.querySelector('.multi-filter-trigger');
+    trigger.textContent = summary;
+    trigger.title = values.join(', ');
+    control.classList.toggle('has-value', values.length > 0);
+    control.classList.toggle('exclude', mode === 'exclude');
+    
+    if (modeBtn) {
+        modeBtn.textContent = mode === 'exclude' ? 'Exclude' : 'Include';
+        modeBtn.setAttribute('aria-pressed', mode === 'exclude');
+        modeBtn.classList.toggle('active', mode === 'exclude');
+    }
+}
+
+// Active filters as a list of SQL conditions (query fragments)
+function getFilterConditions(expression = advancedFilter) {
+    return filterStateConditions({ sidebar: sidebarFilters, chart: chartFilters, advanced: expression });
+}
+
+// Conditions for a filter state ({ sidebar, chart, advanced }, as stored in
+// saved segments) over `table`; columns no longer in the schema are skipped
+function filterStateConditions(state, table = 'survey') {
     const conditions = [];
     
-    // Sidebar filters
-    for (const [selectId, column] of Object.entries(filterConfig)) {
-        const value = document.getElementById(selectId).value;
-        if (value) {
-            // Escape single quotes in the value
-            const escapedValue = value.replace(/'/g, "''");
-            conditions.push(`${column} = '${escapedValue}'`);
+    // Sidebar filters: IN / NOT IN over the selected values
+    for (const [column, filter] of Object.entries(state.sidebar || {})) {
+        if (filter.values && filter.values.length > 0 && filterableColumns.includes(column)) {
+            conditions.push(matchValuesSql(column, filter.values, filter.mode, table));
         }
     }
     
-    // Chart filters (from clicking on bars)
-    for (const [column, value] of Object.entries(chartFilters)) {
-        const escapedValue = value.replace(/'/g, "''");
-        conditions.push(`${column} = '${escapedValue}'`);
+    // Chart filters (from clicking on bars); multi-select columns match by option
+    for (const [column, value] of Object.entries(state.chart || {})) {
+        if (filterableColumns.includes(column)) {
+            conditions.push(matchValueSql(column, value, table));
+        }
     }
     
-    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // Advanced AND/OR expression
+    const expression = normalizeExpression(state.advanced, filterableColumns);
+    if (expression) {
+        conditions.push(compileExpression(expression, table));
+    }
+    
+    return conditions;
+}
+
+// WHERE clause for the active filters plus any `extra` conditions
+function getWhereClause(extra = [], expression = advancedFilter) {
+    return whereSql([...getFilterConditions(expression), ...extra]);
+}
+
+// ===== Advanced Filter Editor =====
+// Applied expression (normalized, or null) and the copy being edited
+let advancedFilter = null;
+let advancedDraft = null;
+const filterValueCache = {};
+
+async function getFilterValues(column) {
+    if (!filterValueCache[column]) {
+        filterValueCache[column] = (await queryFilterValues(column)).map(row => row.value);
+    }
+    return filterValueCache[column];
+}
+
+function initializeAdvancedFilter() {
+    const modal = document.getElementById('advanced-filter-modal');
+    
+    document.getElementById('advanced-filter-btn').addEventListener('click', openAdvancedFilter);
+    document.getElementById('advanced-filter-clear').addEventListener('click', () => setAdvancedFilter(null));
+    document.getElementById('close-advanced-filter').addEventListener('click', closeAdvancedFilter);
+    document.getElementById('advanced-filter-cancel').addEventListener('click', closeAdvancedFilter);
+    document.getElementById('advanced-filter-apply').addEventListener('click', () => {
+        setAdvancedFilter(normalizeExpression(advancedDraft, filterableColumns));
+        closeAdvancedFilter();
+    });
+    
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeAdvancedFilter();
+    });
+    
+    renderAdvancedSummary();
+}
+
+async function setAdvancedFilter(expression, { refresh = true } = {}) {
+    advancedFilter = expression;
+    renderAdvancedSummary();
+    if (refresh) await onFilterChange();
+}
+
+function renderAdvancedSummary() {
+    const summary = document.getElementById('advanced-filter-summary');
+    const clearBtn = document.getElementById('advanced-filter-clear');
+    const active = Boolean(advancedFilter);
+    
+    summary.textContent = active ? describeExpression(advancedFilter, getColumnLabel()) : '';
+    summary.title = summary.textContent;
+    summary.classList.toggle('visible', active);
+    clearBtn.hidden = !active;
+}
+
+function openAdvancedFilter() {
+    advancedDraft = advancedFilter
+        ? JSON.parse(JSON.stringify(advancedFilter))
+        : createGroup('and');
+    if (advancedDraft.type !== 'group') {
+        const root = createGroup('and');
+        root.children.push(advancedDraft);
+        advancedDraft = root;
+    }
+    
+    renderAdvancedEditor();
+    
+    const modal = document.getElementById('advanced-filter-modal');
+    modal.classList.add('open');
+    document.body.style.overflow = 'hidden';
+}
+
+function closeAdvancedFilter() {
+    const modal = document.getElementById('advanced-filter-modal');
+    modal.classList.remove('open');
+    document.body.style.overflow = '';
+    advancedDraft = null;
+}
+
+function renderAdvancedEditor() {
+    const container = document.getElementById('advanced-filter-editor');
+    container.innerHTML = '';
+    container.appendChild(renderAdvancedGroup(advancedDraft, null));
+    updateAdvancedPreview();
+}
+
+function updateAdvancedPreview() {
+    const expression = normalizeExpression(advancedDraft, filterableColumns);
+    const where = getWhereClause([], expression);
+    document.getElementById('advanced-filter-sql').textContent =
+        `SELECT * FROM survey\n${toDisplaySql(where) || '-- no filters'}`;
+}
+
+function renderAdvancedGroup(group, parent) {
+    const el = document.createElement('div');
+    el.className = 'adv-group';
+    el.innerHTML = `
+        <div class="adv-group-header">
+            <label class="adv-negate">
+                <input type="checkbox" ${group.negate ? 'checked' : ''}>
+                <span>NOT</span>
+            </label>
+            <select class="filter-select adv-op" aria-label="Combine conditions with">
+                <option value="and" ${group.op === 'and' ? 'selected' : ''}>All of (AND)</option>
+                <option value="or" ${group.op === 'or' ? 'selected' : ''}>Any of (OR)</option>
+            </select>
+            <button class="btn btn-ghost adv-add-condition">+ Condition</button>
+            <button class="btn btn-ghost adv-add-group">+ Group</button>
+            ${parent ? '<button class="btn btn-ghost adv-remove" aria-label="Remove group" title="Remove group">&times;</button>' : ''}
+        </div>
+        <div class="adv-children"></div>
+    `;
+    
+    const header = el.querySelector('.adv-group-header');
+    header.querySelector('.adv-negate input').addEventListener('change', (e) => {
+        group.negate = e.target.checked;
+        updateAdvancedPreview();
+    });
+    header.querySelector('.adv-op').addEventListener('change', (e) => {
+        group.op = e.target.value;
+        updateAdvancedPreview();
+    });
+    header.querySelector('.adv-add-condition').addEventListener('click', () => {
+        group.children.push(createCondition(filterableColumns[0]));
+        renderAdvancedEditor();
+    });
+    header.querySelector('.adv-add-group').addEventListener('click', () => {
+        const child = createGroup(group.op === 'and' ? 'or' : 'and');
+        child.children.push(createCondition(filterableColumns[0]));
+        group.children.push(child);
+        renderAdvancedEditor();
+    });
+    if (parent) {
+        header.querySelector('.adv-remove').addEventListener('click', () => {
+            parent.children.splice(parent.children.indexOf(group), 1);
+            renderAdvancedEditor();
+        });
+    }
+    
+    const children = el.querySelector('.adv-children');
+    if (group.children.length === 0) {
+        children.innerHTML = '<p class="adv-empty">Add a condition or a nested group.</p>';
+    }
+    for (const child of group.children) {
+        children.appendChild(child.type === 'group'
+            ? renderAdvancedGroup(child, group)
+            : renderAdvancedCondition(child, group));
+    }
+    
+    return el;
+}
+
+function renderAdvancedCondition(condition, parent) {
+    const labels = getColumnLabel();
+    const el = document.createElement('div');
+    el.className = 'adv-condition';
+    el.innerHTML = `
+        <select class="filter-select adv-column" aria-label="Column">
+            ${filterableColumns.map(column => `
+                <option value="${escapeHtml(column)}" ${column === condition.column ? 'selected' : ''}>${escapeHtml(labels[column] || column)}</option>`).join('')}
+        </select>
+        <select class="filter-select adv-mode" aria-label="Match">
+            <option value="include" ${condition.mode !== 'exclude' ? 'selected' : ''}>is any of</option>
+            <option value="exclude" ${condition.mode === 'exclude' ? 'selected' : ''}>is none of</option>
+        </select>
+        <select class="adv-values" multiple size="4" aria-label="Values">
+            <option disabled>Loading...</option>
+        </select>
+        <button class="btn btn-ghost adv-remove" aria-label="Remove condition" title="Remove condition">&times;</button>
+    `;
+    
+    const valuesSelect = el.querySelector('.adv-values');
+    
+    const loadValues = async () => {
+        const values = await getFilterValues(condition.column);
+        valuesSelect.innerHTML = values.map(value => `
+            <option value="${escapeHtml(value)}" ${condition.values.includes(value) ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('');
+    };
+    
+    el.querySelector('.adv-column').addEventListener('change', (e) => {
+        condition.column = e.target.value;
+        condition.values = [];
+        loadValues();
+        updateAdvancedPreview();
+    });
+    el.querySelector('.adv-mode').addEventListener('change', (e) => {
+        condition.mode = e.target.value;
+        updateAdvancedPreview();
+    });
+    valuesSelect.addEventListener('change', () => {
+        condition.values = Array.from(valuesSelect.selectedOptions).map(opt => opt.value);
+        updateAdvancedPreview();
+    });
+    el.querySelector('.adv-remove').addEventListener('click', () => {
+        parent.children.splice(parent.children.indexOf(condition), 1);
+        renderAdvancedEditor();
+    });
+    
+    loadValues();
+    return el;
 }
 
 // ===== Chart Filter Management =====
@@ -329,23 +722,13 @@ function renderFilterPills() {
     }
     
     // Map column names to friendly labels
-    const columnLabels = {
-        'role': 'Role',
-        'org_size': 'Org Size',
-        'industry': 'Industry',
-        'region': 'Region',
-        'ai_usage_frequency': 'AI Usage',
-        'storage_environment': 'Storage',
-        'architecture_trend': 'Architecture',
-        'team_growth_2026': 'Team Growth',
-        'biggest_bottleneck': 'Bottleneck'
-    };
+    const columnLabels = getColumnLabel();
     
     let html = entries.map(([column, value]) => {
         const label = columnLabels[column] || column;
         const displayValue = truncateText(value, 20);
         return `
-            <button class="filter-pill" data-column="${column}" title="${escapeHtml(value)}">
+            <button class="filter-pill" data-column="${escapeHtml(column)}" title="${escapeHtml(value)}">
                 <span class="pill-label">${escapeHtml(label)}:</span>
                 <span class="pill-value">${escapeHtml(displayValue)}</span>
                 <svg class="pill-remove" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
@@ -380,6 +763,7 @@ async function onFilterChange() {
     await updateFilteredCount();
     await updateCharts();
     await updateCrosstab();
+    await updateReportSegment();
     responsesPage = 0; // Reset to first page when filters change
     await updateResponses();
     updateUrlState(); // Update shareable URL
@@ -391,20 +775,23 @@ async function onFilterChange() {
 function saveFiltersToLocalStorage() {
     try {
         const state = {};
-        for (const [selectId, column] of Object.entries(filterConfig)) {
-            const value = document.getElementById(selectId).value;
-            if (value) state[selectId] = value;
+        const activeSidebar = Object.entries(sidebarFilters).filter(([, f]) => f.values.length > 0);
+        if (activeSidebar.length > 0) {
+            state._sidebarFilters = Object.fromEntries(activeSidebar);
         }
         if (Object.keys(chartFilters).length > 0) {
             state._chartFilters = { ...chartFilters };
         }
+        if (advancedFilter) {
+            state._advancedFilter = advancedFilter;
+        }
         localStorage.setItem('surveyFilters', JSON.stringify(state));
     } catch (e) {
         // Private browsing or storage full — ignore
     }
 }
 
-function restoreFiltersFromLocalStorage() {
+async function restoreFiltersFromLocalStorage() {
     // Only restore if no URL params are present (URL takes priority)
     if (window.location.search) return;
     
@@ -415,17 +802,22 @@ function restoreFiltersFromLocalStorage() {
         const state = JSON.parse(saved);
         let anyRestored = false;
         
-        for (const [selectId, column] of Object.entries(filterConfig)) {
-            if (state[selectId]) {
-                const select = document.getElementById(selectId);
-                const optionExists = Array.from(select.options).some(opt => opt.value === state[selectId]);
-                if (optionExists) {
-                    select.value = state[selectId];
+        if (state._sidebarFilters) {
+            for (const [column, filter] of Object.entries(state._sidebarFilters)) {
+                if (!(await ensureFilterControl(column))) continue;
+                if (setSidebarFilter(column, filter.values || [], filter.mode)) {
                     anyRestored = true;
                 }
             }
         }
         
+        // Older saves kept one value per select id
+        for (const [selectId, column] of Object.entries(filterConfig)) {
+            if (typeof state[selectId] === 'string' && setSidebarFilter(column, [state[selectId]])) {
+                anyRestored = true;
+            }
+        }
+        
         if (state._chartFilters) {
             for (const [col, val] of Object.entries(state._chartFilters)) {
                 chartFilters[col] = val;
@@ -434,6 +826,12 @@ function restoreFiltersFromLocalStorage() {
             anyRestored = true;
         }
         
+        const expression = normalizeExpression(state._advancedFilter, filterableColumns);
+        if (expression) {
+            await setAdvancedFilter(expression, { refresh: false });
+            anyRestored = true;
+        }
+        
         if (anyRestored) {
             // Re-apply filters without triggering another save
             updateFilteredCount();
@@ -443,6 +841,275 @@ function restoreFiltersFromLocalStorage() {
     }
 }
 
+// ===== Saved Segments =====
+// Named filter states (sidebar + chart filters), kept in localStorage and
+// shareable as JSON files
+const SEGMENTS_KEY = 'surveySegments';
+const SEGMENTS_FILE_VERSION = 1;
+
+function getSegments() {
+    try {
+        return JSON.parse(localStorage.getItem(SEGMENTS_KEY) || '[]');
+    } catch { return []; }
+}
+
+function storeSegments(segments) {
+    try {
+        localStorage.setItem(SEGMENTS_KEY, JSON.stringify(segments));
+    } catch { /* ignore */ }
+}
+
+function getCurrentFilterState() {
+    const sidebar = {};
+    for (const [column, filter] of Object.entries(sidebarFilters)) {
+        if (filter.values.length > 0) {
+            sidebar[column] = { values: [...filter.values], mode: filter.mode };
+        }
+    }
+    return { sidebar, chart: { ...chartFilters }, advanced: advancedFilter };
+}
+
+// Replace all active filters with a saved state and refresh every view
+async function applyFilterState(state) {
+    clearSidebarFilters();
+    for (const key of Object.keys(chartFilters)) {
+        delete chartFilters[key];
+    }
+    
+    for (const [column, filter] of Object.entries(state.sidebar || {})) {
+        if (await ensureFilterControl(column)) {
+            setSidebarFilter(column, filter.values || [], filter.mode);
+        }
+    }
+    for (const [column, value] of Object.entries(state.chart || {})) {
+        if (filterableColumns.includes(column)) chartFilters[column] = value;
+    }
+    
+    renderFilterPills();
+    await setAdvancedFilter(normalizeExpression(state.advanced, filterableColumns));
+}
+
+function isValidSegment(segment) {
+    return segment && typeof segment.name === 'string' && segment.name.trim() &&
+        segment.filters && typeof segment.filters === 'object' && !Array.isArray(segment.filters);
+}
+
+// Filters from an imported file: known columns only, values as strings and
+// a mode of include or exclude. Anything else is dropped and counted.
+function normalizeImportedFilters(filters) {
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const isString = value => typeof value === 'string';
+    const sidebar = {};
+    const chart = {};
+    let dropped = 0;
+    
+    for (const [column, filter] of Object.entries(isObject(filters.sidebar) ? filters.sidebar : {})) {
+        const valid = filterableColumns.includes(column) && isObject(filter) &&
+            Array.isArray(filter.values) && filter.values.length > 0 && filter.values.every(isString) &&
+            ['include', 'exclude'].includes(filter.mode);
+        if (valid) {
+            sidebar[column] = { values: [...filter.values], mode: filter.mode };
+        } else {
+            dropped++;
+        }
+    }
+    
+    for (const [column, value] of Object.entries(isObject(filters.chart) ? filters.chart : {})) {
+        if (filterableColumns.includes(column) && isString(value)) {
+            chart[column] = value;
+        } else {
+            dropped++;
+        }
+    }
+    
+    const advanced = normalizeExpression(filters.advanced, filterableColumns);
+    if (filters.advanced && !advanced) dropped++;
+    
+    return { filters: { sidebar, chart, advanced }, dropped };
+}
+
+function initializeSegments() {
+    document.getElementById('segment-save').addEventListener('click', saveCurrentSegment);
+    document.getElementById('segment-export').addEventListener('click', exportSegments);
+    
+    const importBtn = document.getElementById('segment-import');
+    const fileInput = document.getElementById('segment-import-file');
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) await importSegments(file);
+    });
+    
+    renderSegmentList();
+}
+
+function saveCurrentSegment() {
+    const filters = getCurrentFilterState();
+    if (Object.keys(filters.sidebar).length === 0 && Object.keys(filters.chart).length === 0 && !filters.advanced) {
+        showToast('Set some filters before saving a segment', 'error');
+        return;
+    }
+    
+    const name = (prompt('Segment name:', '') || '').trim();
+    if (!name) return;
+    
+    const segments = getSegments();
+    const existing = segments.find(seg => seg.name === name);
+    if (existing && !confirm(`Replace the existing segment "${name}"?`)) return;
+    
+    if (existing) {
+        existing.filters = filters;
+        existing.updated = new Date().toISOString();
+    } else {
+        segments.push({ id: `seg-${Date.now().toString(36)}`, name, filters, updated: new Date().toISOString() });
+    }
+    storeSegments(segments);
+    renderSegmentList();
+    showToast(`Saved segment "${escapeHtml(name)}"`, 'success');
+}
+
+function renameSegment(id) {
+    const segments = getSegments();
+    const segment = segments.find(seg => seg.id === id);
+    if (!segment) return;
+    
+    const name = (prompt('Rename segment:', segment.name) || '').trim();
+    if (!name || name === segment.name) return;
+    if (segments.some(seg => seg.name === name)) {
+        showToast(`A segment named "${escapeHtml(name)}" already exists`, 'error');
+        return;
+    }
+    
+    segment.name = name;
+    storeSegments(segments);
+    renderSegmentList();
+}
+
+function deleteSegment(id) {
+    const segments = getSegments();
+    const segment = segments.find(seg => seg.id === id);
+    if (!segment || !confirm(`Delete segment "${segment.name}"?`)) return;
+    
+    storeSegments(segments.filter(seg => seg.id !== id));
+    renderSegmentList();
+}
+
+async function applySegment(id) {
+    const segment = getSegments().find(seg => seg.id === id);
+    if (!segment) return;
+    
+    await applyFilterState(segment.filters);
+    showToast(`Applied segment "${escapeHtml(segment.name)}"`, 'success');
+}
+
+function describeFilterState(state) {
+    const labels = getColumnLabel();
+    const parts = [];
+    for (const [column, filter] of Object.entries(state.sidebar || {})) {
+        const op = filter.mode === 'exclude' ? ' not ' : ': ';
+        parts.push(`${labels[column] || column}${op}${(filter.values || []).join(' / ')}`);
+    }
+    for (const [column, value] of Object.entries(state.chart || {})) {
+        parts.push(`${labels[column] || column}: ${value}`);
+    }
+    if (state.advanced) {
+        parts.push(describeExpression(state.advanced, labels));
+    }
+    return parts.join('; ');
+}
+
+function renderSegmentList() {
+    const list = document.getElementById('segment-list');
+    const segments = getSegments();
+    
+    document.getElementById('segment-export').disabled = segments.length === 0;
+    populateCompareSaved();
+    
+    if (segments.length === 0) {
+        list.innerHTML = '<div class="segment-empty">No saved segments. Set filters and click Save.</div>';
+        return;
+    }
+    
+    list.innerHTML = segments.map(seg => `
+        <div class="segment-item" data-id="${escapeHtml(seg.id)}">
+            <button class="segment-apply" title="${escapeHtml(describeFilterState(seg.filters))}">${escapeHtml(seg.name)}</button>
+            <button class="segment-action segment-rename" aria-label="Rename ${escapeHtml(seg.name)}" title="Rename">
+                <svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor">
+                    <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5z"/>
+                </svg>
+            </button>
+            <button class="segment-action segment-delete" aria-label="Delete ${escapeHtml(seg.name)}" title="Delete">
+                <svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor">
+                    <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
+                </svg>
+            </button>
+        </div>`).join('');
+    
+    list.querySelectorAll('.segment-item').forEach(item => {
+        const id = item.dataset.id;
+        item.querySelector('.segment-apply').addEventListener('click', () => applySegment(id));
+        item.querySelector('.segment-rename').addEventListener('click', () => renameSegment(id));
+        item.querySelector('.segment-delete').addEventListener('click', () => deleteSegment(id));
+    });
+}
+
+function exportSegments() {
+    const segments = getSegments();
+    if (segments.length === 0) return;
+    
+    const payload = {
+        version: SEGMENTS_FILE_VERSION,
+        exported: new Date().toISOString(),
+        segments: segments.map(({ name, filters }) => ({ name, filters }))
+    };
+    
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'survey_segments.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Imported segments replace saved ones with the same name
+async function importSegments(file) {
+    try {
+        const payload = JSON.parse(await file.text());
+        const incoming = Array.isArray(payload) ? payload : payload.segments;
+        if (!Array.isArray(incoming)) throw new Error('no segments found');
+        
+        const valid = incoming.filter(isValidSegment);
+        if (valid.length === 0) throw new Error('no valid segments found');
+        
+        const segments = getSegments();
+        let droppedFilters = 0;
+        valid.forEach((seg, i) => {
+            const name = seg.name.trim();
+            const { filters, dropped } = normalizeImportedFilters(seg.filters);
+            droppedFilters += dropped;
+            const existing = segments.find(s => s.name === name);
+            if (existing) {
+                existing.filters = filters;
+                existing.updated = new Date().toISOString();
+            } else {
+                segments.push({ id: `seg-${Date.now().toString(36)}-${i}`, name, filters, updated: new Date().toISOString() });
+            }
+        });
+        
+        storeSegments(segments);
+        renderSegmentList();
+        const note = droppedFilters > 0
+            ? ` (${droppedFilters} invalid or unknown filter${droppedFilters === 1 ? '' : 's'} dropped)`
+            : '';
+        showToast(`Imported ${valid.length} segment${valid.length === 1 ? '' : 's'}${note}`, droppedFilters > 0 ? 'default' : 'success', 5000);
+    } catch (error) {
+        console.error('Segment import error:', error);
+        showToast('Could not import segments: ' + escapeHtml(error.message), 'error');
+    }
+}
+
 // ===== ARIA Announcements =====
 function announce(message) {
     const announcer = document.getElementById('aria-announcer');
@@ -459,18 +1126,37 @@ function announceFilterChange() {
     announce(`Showing ${count} of ${total} responses`);
 }
 
+// Counts the dataset the charts show (datasetTable)
 async function updateFilteredCount() {
-    const whereClause = getWhereClause();
-    const result = await conn.query(`SELECT COUNT(*) as count FROM survey ${whereClause}`);
-    const count = result.toArray()[0].count;
-    document.getElementById('filtered-count').textContent = count.toLocaleString();
+    const table = datasetTable();
+    const conditions = filterStateConditions(getCurrentFilterState(), table);
+    const result = await execute(conn, sql`
+        SELECT COUNT(*) as count, (SELECT COUNT(*) FROM ${tableName(table)}) as total
+        FROM ${tableName(table)}
+        ${whereSql(conditions)}
+    `);
+    const { count, total } = result.toArray()[0];
+    document.getElementById('filtered-count').textContent = Number(count).toLocaleString();
+    document.getElementById('total-count').textContent = Number(total).toLocaleString();
+    document.getElementById('count-dataset').textContent = table === CUSTOM_TABLE
+        ? (datasetMode === 'benchmark' ? ' in your data (benchmarked against the public survey)' : ' in your data')
+        : '';
 }
 
-function resetFilters() {
-    // Clear sidebar filters
+// Clear sidebar filters and drop the ones added through "Add filter"
+function clearSidebarFilters() {
+    for (const column of Object.keys(sidebarFilters)) {
+        setSidebarFilter(column, []);
+    }
     for (const selectId of Object.keys(filterConfig)) {
-        document.getElementById(selectId).value = '';
+        if (selectId.startsWith('filter-col-')) removeDynamicFilter(selectId);
     }
+}
+
+function resetFilters() {
+    clearSidebarFilters();
+    advancedFilter = null;
+    renderAdvancedSummary();
     // Clear chart filters
     clearAllChartFilters();
     // Clear localStorage
@@ -493,26 +1179,136 @@ const chartConfig = {
     'chart-education': { column: 'education_topic', limit: 10 }
 };
 
+// Chart aggregates are fetched in one UNION ALL query per filter state and
+// cached by that query, so toggling back to an earlier state is instant.
+// Every update takes a ticket; results for a superseded ticket are dropped so
+// quick filter clicks never leave stale charts on screen.
+const CHART_CACHE_SIZE = 20;
+const chartCache = new Map(); // query key -> { total, rows: Map(column -> rows) }
+let chartRequestId = 0;
+
 async function updateCharts() {
-    // Show skeletons immediately for visual feedback
-    if (!compareMode) {
+    const requestId = ++chartRequestId;
+    const isCurrent = () => requestId === chartRequestId;
+    
+    // Every survey year of the public data, comparison mode, or your data
+    // benchmarked against the public survey
+    if (trendMode || compareMode || datasetMode === 'benchmark') {
+        let series;
+        try {
+            if (trendMode) {
+                series = await getTrendSeries();
+            } else {
+                series = compareMode ? await getComparisonSeries() : await getBenchmarkSeries();
+            }
+        } catch (error) {
+            if (!isCurrent()) return;
+            showChartsError(error);
+            return;
+        }
+        
+        // A newer filter state has been requested since this one started
+        if (!isCurrent()) return;
+        
+        for (const [chartId, config] of Object.entries(chartConfig)) {
+            // Years that didn't ask the question are left out of its chart
+            const chartSeries = trendMode
+                ? series.filter(s => yearHasColumn(s.year, config.column))
+                : series;
+            await renderComparisonChart(chartId, config.column, config.limit, chartSeries, isCurrent);
+            if (!isCurrent()) return;
+        }
+        return;
+    }
+    
+    const table = datasetTable();
+    const query = chartAggregatesSql(filterStateConditions(getCurrentFilterState(), table), table);
+    const key = JSON.stringify([query.text, query.params]);
+    let data = chartCache.get(key);
+    
+    if (!data) {
+        // Show skeletons immediately for visual feedback
         for (const chartId of Object.keys(chartConfig)) {
             showChartSkeleton(document.getElementById(chartId));
         }
+        
+        try {
+            data = await fetchChartAggregates(query);
+        } catch (error) {
+            if (!isCurrent()) return;
+            showChartsError(error);
+            return;
+        }
+        
+        cacheChartAggregates(key, data);
     }
     
-    const whereClause = getWhereClause();
-    
-    // Get total filtered count for percentage calculations
-    const totalResult = await conn.query(`SELECT COUNT(*) as count FROM survey ${whereClause}`);
-    const totalFiltered = Number(totalResult.toArray()[0].count);
+    // A newer filter state has been requested since this one started
+    if (!isCurrent()) return;
     
     for (const [chartId, config] of Object.entries(chartConfig)) {
-        if (compareMode) {
-            await renderComparisonChart(chartId, config.column, config.limit);
-        } else {
-            await renderBarChart(chartId, config.column, whereClause, config.limit, totalFiltered);
+        renderBarChart(chartId, config.column, data.rows.get(config.column) || [], config.limit, data.total);
+    }
+}
+
+function showChartsError(error) {
+    console.error('Error loading charts:', error);
+    for (const chartId of Object.keys(chartConfig)) {
+        document.getElementById(chartId).innerHTML = `<p class="error-text">Error: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// One query for every chart: per-column answer counts, plus a row with a NULL
+// column holding the filtered total. Each branch tags its rows with the
+// column's index in chartColumns() rather than a bound name, so every
+// UNION ALL branch has the same INTEGER type.
+function chartColumns() {
+    return [...new Set(Object.values(chartConfig).map(config => config.column))];
+}
+
+function chartAggregatesSql(conditions, table = 'survey') {
+    const branches = chartColumns().map((column, i) => {
+        const source = columnSource(column, 'item', table);
+        return sql`
+            SELECT ${raw(String(i))} as chart_column, CAST(${source.expr} AS VARCHAR) as label, COUNT(*) as count
+            FROM ${source.from}
+            ${whereSql([...conditions, sql`${columnRef(column, table)} IS NOT NULL`])}
+            GROUP BY ${source.expr}`;
+    });
+    branches.push(sql`
+        SELECT NULL as chart_column, NULL as label, COUNT(*) as count
+        FROM ${tableName(table)}
+        ${whereSql(conditions)}`);
+    return join(branches, '\nUNION ALL');
+}
+
+async function fetchChartAggregates(query) {
+    const result = await execute(conn, query);
+    const columns = chartColumns();
+    const data = { total: 0, rows: new Map() };
+    
+    for (const row of result.toArray()) {
+        const count = Number(row.count);
+        if (row.chart_column === null) {
+            data.total = count;
+            continue;
         }
+        const column = columns[row.chart_column];
+        if (!data.rows.has(column)) data.rows.set(column, []);
+        data.rows.get(column).push({ label: row.label, count });
+    }
+    
+    // Most common answers first, as each chart shows its top `limit`
+    data.rows.forEach(rows => rows.sort((a, b) => b.count - a.count));
+    return data;
+}
+
+function cacheChartAggregates(key, data) {
+    chartCache.delete(key);
+    chartCache.set(key, data);
+    // Map keeps insertion order, so the first key is the least recently stored
+    if (chartCache.size > CHART_CACHE_SIZE) {
+        chartCache.delete(chartCache.keys().next().value);
     }
 }
 
@@ -544,22 +1340,13 @@ function showChartSkeleton(container) {
     container.innerHTML = html;
 }
 
-async function renderBarChart(chartId, column, whereClause, limit, totalFiltered) {
+// `answers` are { label, count } rows, most common first
+function renderBarChart(chartId, column, answers, limit, totalFiltered) {
     const container = document.getElementById(chartId);
     
     try {
-        const query = `
-            SELECT ${column} as label, COUNT(*) as count 
-            FROM survey 
-            ${whereClause}
-            ${whereClause ? 'AND' : 'WHERE'} ${column} IS NOT NULL
-            GROUP BY ${column} 
-            ORDER BY count DESC 
-            LIMIT ${limit}
-        `;
-        
-        const result = await conn.query(query);
-        const rows = result.toArray();
+        // Ordinal questions read in scale order, the rest by count
+        const rows = sortByCodebook(column, answers.slice(0, limit), row => row.label);
         
         if (rows.length === 0) {
             container.innerHTML = `
@@ -578,7 +1365,8 @@ async function renderBarChart(chartId, column, whereClause, limit, totalFiltered
         // Check if this column has an active chart filter
         const activeFilterValue = chartFilters[column];
         
-        let html = '<div class="chart-bar-container">';
+        const lowBase = isLowBase(totalFiltered);
+        let html = `<div class="chart-bar-container${lowBase ? ' low-base' : ''}">`;
         
         rows.forEach((row, i) => {
             const count = Number(row.count);
@@ -603,12 +1391,14 @@ async function renderBarChart(chartId, column, whereClause, limit, totalFiltered
             // Start bars at width: 0 for animated entrance
             html += `
                 <div class="chart-bar-row chart-bar-clickable ${activeClass}" 
-                     data-column="${column}" 
+                     data-column="${escapeHtml(column)}" 
                      data-value="${encodedValue}"
+                     ${baseAttrs(count, totalFiltered)}
                      title="Click to filter by ${escapeHtml(row.label)}">
                     <span class="chart-bar-label">${escapeHtml(label)}</span>
                     <div class="chart-bar-track">
                         <div class="chart-bar-fill" data-target-width="${barWidth}" style="width: 0%; background: ${color};"></div>
+                        ${ciWhiskerHtml(count, totalFiltered, maxCount)}
                     </div>
                     <span class="chart-bar-value">${displayValue}</span>
                 </div>
@@ -620,12 +1410,13 @@ async function renderBarChart(chartId, column, whereClause, limit, totalFiltered
             const filteredCount = rows.find(r => r.label === activeFilterValue);
             if (filteredCount) {
                 html += `
-                    <button class="chart-drilldown" data-column="${column}" data-value="${encodeURIComponent(activeFilterValue)}">
+                    <button class="chart-drilldown" data-column="${escapeHtml(column)}" data-value="${encodeURIComponent(activeFilterValue)}">
                         View ${Number(filteredCount.count).toLocaleString()} matching responses →
                     </button>`;
             }
         }
         
+        html += lowBaseNoteHtml([{ base: totalFiltered }]);
         html += '</div>';
         container.innerHTML = html;
         
@@ -705,7 +1496,8 @@ function updateFilterPanelVisibility() {
     
     if (!activeTab || !filterPanel) return;
     
-    const showFilters = TABS_WITH_FILTERS.includes(activeTab.dataset.tab);
+    const showFilters = TABS_WITH_FILTERS.includes(activeTab.dataset.tab) ||
+        (activeTab.dataset.tab === 'report' && reportSegmentMode);
     
     if (showFilters) {
         filterPanel.classList.remove('hidden-for-tab');
@@ -731,13 +1523,70 @@ function initializeChartMetricToggle() {
     });
 }
 
+// ===== Uncertainty =====
+// Bars carry their count and base (data-count / data-base) so the tooltip and
+// PNG export can show the 95% Wilson interval drawn as a whisker. Bars whose
+// base is below the minimum n are dimmed.
+const MIN_BASE_KEY = 'surveyMinBase';
+const DEFAULT_MIN_BASE = 30;
+let minBase = DEFAULT_MIN_BASE;
+
+function initializeMinBase() {
+    try {
+        const saved = parseInt(localStorage.getItem(MIN_BASE_KEY), 10);
+        if (Number.isInteger(saved) && saved >= 0) minBase = saved;
+    } catch (e) { /* ignore */ }
+    
+    const input = document.getElementById('min-base');
+    input.value = minBase;
+    input.addEventListener('change', () => {
+        const value = parseInt(input.value, 10);
+        minBase = Number.isInteger(value) && value >= 0 ? value : DEFAULT_MIN_BASE;
+        input.value = minBase;
+        try { localStorage.setItem(MIN_BASE_KEY, String(minBase)); } catch (e) { /* ignore */ }
+        updateCharts();
+    });
+}
+
+function isLowBase(base) {
+    return base < minBase;
+}
+
+function baseAttrs(count, base) {
+    return `data-count="${count}" data-base="${base}"`;
+}
+
+// Whisker for the interval of count / base, on a track where 100% = maxCount
+function ciWhiskerHtml(count, base, maxCount) {
+    if (base <= 0 || maxCount <= 0) return '';
+    const { low, high } = wilsonInterval(count, base);
+    const left = Math.min(100, (low * base / maxCount) * 100);
+    const right = Math.min(100, (high * base / maxCount) * 100);
+    return `<div class="chart-bar-whisker" style="left: ${left}%; width: ${right - left}%;"></div>`;
+}
+
+function lowBaseNoteHtml(bases) {
+    const low = bases.filter(({ base }) => isLowBase(base));
+    if (low.length === 0) return '';
+    const list = low.map(({ name, base }) => `${name ? `${escapeHtml(name)}: ` : ''}n = ${base.toLocaleString()}`).join(', ');
+    return `<div class="chart-base-note">Small base (${list}, below ${minBase}) — percentages are unreliable</div>`;
+}
+
+function formatCi(count, base) {
+    const { low, high } = wilsonInterval(count, base);
+    return `${(low * 100).toFixed(1)}–${(high * 100).toFixed(1)}%`;
+}
+
 // ===== SQL Editor (Lazy-loaded) =====
 function loadScript(src) {
     return new Promise((resolve, reject) => {
         const script = document.createElement('script');
         script.src = src;
         script.onload = resolve;
-        script.onerror = reject;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+        };
         document.head.appendChild(script);
     });
 }
@@ -763,15 +1612,28 @@ async function loadCodeMirror() {
     }
     codeMirrorLoading = true;
     
-    // Load CSS files
+    // Core script from the first source that serves it (vendor/, then CDN)
+    let base = null;
+    for (const source of CODEMIRROR_SOURCES) {
+        try {
+            await loadScript(`${source}/codemirror.min.js`);
+            base = source;
+            break;
+        } catch (error) {
+            // Try the next source
+        }
+    }
+    if (!base) {
+        codeMirrorLoading = false;
+        throw new Error('Could not load the SQL editor');
+    }
+    
+    // Theme and SQL mode from the same place (mode depends on core)
     await Promise.all([
-        loadStylesheet('https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/codemirror.min.css'),
-        loadStylesheet('https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/theme/dracula.min.css')
+        loadStylesheet(`${base}/codemirror.min.css`),
+        loadStylesheet(`${base}/theme/dracula.min.css`)
     ]);
-    
-    // Load JS files sequentially (mode depends on core)
-    await loadScript('https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/codemirror.min.js');
-    await loadScript('https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.16/mode/sql/sql.min.js');
+    await loadScript(`${base}/mode/sql/sql.min.js`);
     
     codeMirrorLoaded = true;
     codeMirrorLoading = false;
@@ -795,6 +1657,8 @@ function initializeSqlEditorPlaceholder() {
     
     // Export SQL results
     document.getElementById('export-sql-results').addEventListener('click', exportSqlResults);
+    document.getElementById('export-sql-xlsx').addEventListener('click', exportSqlResultsXlsx);
+    document.getElementById('export-sql-parquet').addEventListener('click', exportSqlResultsParquet);
 }
 
 async function ensureSqlEditorReady() {
@@ -861,6 +1725,24 @@ function exportSqlResults() {
     URL.revokeObjectURL(url);
 }
 
+// Typed workbook of the results, with the query on a second sheet
+function exportSqlResultsXlsx() {
+    if (!lastSqlResults || !lastSqlResults.rows.length) {
+        return;
+    }
+    
+    const { fields, rows, sql } = lastSqlResults;
+    const blob = writeXlsx([
+        resultSheet('Results', fields, rows),
+        querySheet([
+            ['Source', 'SQL Query tab'],
+            ['Rows', rows.length],
+            ['Query', sql]
+        ])
+    ]);
+    downloadBlob(blob, `sql_results_${rows.length}_rows.xlsx`);
+}
+
 async function runQuery() {
     const sql = editor.getValue().trim();
     
@@ -882,7 +1764,7 @@ async function runQuery() {
         const columns = result.schema.fields.map(f => f.name);
         
         // Store results for export
-        lastSqlResults = { columns, rows };
+        lastSqlResults = { columns, rows, fields: result.schema.fields, sql };
         
         // Save to query history
         saveSqlQuery(sql, duration);
@@ -898,11 +1780,12 @@ async function runQuery() {
 
 function showQueryResults({ columns, rows, error }) {
     const container = document.getElementById('sql-results');
-    const exportBtn = document.getElementById('export-sql-results');
+    const exportBtns = document.querySelectorAll('.sql-export-btn');
+    const setExportEnabled = enabled => exportBtns.forEach(btn => { btn.disabled = !enabled; });
     
     if (error) {
         container.innerHTML = `<p class="error-text">${escapeHtml(error)}</p>`;
-        exportBtn.disabled = true;
+        setExportEnabled(false);
         return;
     }
     
@@ -916,12 +1799,12 @@ function showQueryResults({ columns, rows, error }) {
                 <p>Query returned no results</p>
                 <span class="empty-state-hint">Try adjusting your query or filters</span>
             </div>`;
-        exportBtn.disabled = true;
+        setExportEnabled(false);
         return;
     }
     
     // Enable export button
-    exportBtn.disabled = false;
+    setExportEnabled(true);
     
     let html = `
         <table class="results-table">
@@ -1000,17 +1883,24 @@ async function exportChartAsPng(chartCard) {
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
     
-    // Get chart dimensions
+    const bars = Array.from(chartContainer.querySelectorAll('.chart-bar-row'));
+    const trackHeight = 12;
+    // Comparison rows stack one thin track per segment
+    const rowHeight = bar => Math.max(28, bar.querySelectorAll('.compare-bar-track').length * trackHeight + 4);
+    
+    // Get chart dimensions (room for bars, legend lines and watermark)
     const rect = chartCard.getBoundingClientRect();
+    const barsHeight = bars.reduce((sum, bar) => sum + rowHeight(bar) + 4, 0);
+    const height = Math.max(rect.height, 56 + barsHeight + 80);
     const scale = 2; // Higher resolution
     canvas.width = rect.width * scale;
-    canvas.height = rect.height * scale;
+    canvas.height = height * scale;
     ctx.scale(scale, scale);
     
     // Draw background
     const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
     ctx.fillStyle = isDark ? '#161b22' : '#ffffff';
-    ctx.fillRect(0, 0, rect.width, rect.height);
+    ctx.fillRect(0, 0, rect.width, height);
     
     // Draw title
     ctx.fillStyle = isDark ? '#e6edf3' : '#1f2328';
@@ -1018,46 +1908,92 @@ async function exportChartAsPng(chartCard) {
     ctx.fillText(title, 24, 32);
     
     // Draw bars
-    const bars = chartContainer.querySelectorAll('.chart-bar-row');
     let y = 56;
-    const barHeight = 28;
     const labelWidth = 160;
     const barMaxWidth = rect.width - labelWidth - 100;
     
+    const lowBaseChart = chartContainer.querySelector('.chart-bar-container.low-base') !== null;
+    
+    const drawTrack = (track, color, top, height) => {
+        const fill = track.querySelector('.chart-bar-fill, .compare-bar-fill');
+        const widthPct = parseFloat(fill.dataset.targetWidth) || 0;
+        const lowBase = lowBaseChart || track.classList.contains('low-base');
+        
+        ctx.fillStyle = isDark ? '#1c2128' : '#f6f8fa';
+        ctx.fillRect(labelWidth, top, barMaxWidth, height);
+        
+        ctx.globalAlpha = lowBase ? 0.35 : 1;
+        ctx.fillStyle = color;
+        ctx.fillRect(labelWidth, top, barMaxWidth * (widthPct / 100), height);
+        ctx.globalAlpha = 1;
+        
+        // Confidence interval whisker with end caps
+        const whisker = track.querySelector('.chart-bar-whisker');
+        if (whisker) {
+            const x1 = labelWidth + barMaxWidth * (parseFloat(whisker.style.left) / 100);
+            const x2 = x1 + barMaxWidth * (parseFloat(whisker.style.width) / 100);
+            const mid = top + height / 2;
+            const cap = Math.min(6, height / 2);
+            ctx.strokeStyle = isDark ? '#e6edf3' : '#1f2328';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x1, mid); ctx.lineTo(x2, mid);
+            ctx.moveTo(x1, mid - cap); ctx.lineTo(x1, mid + cap);
+            ctx.moveTo(x2, mid - cap); ctx.lineTo(x2, mid + cap);
+            ctx.stroke();
+        }
+    };
+    
     bars.forEach((bar, i) => {
         const label = bar.querySelector('.chart-bar-label').textContent;
-        const value = bar.querySelector('.chart-bar-value').textContent;
-        const fill = bar.querySelector('.chart-bar-fill');
-        const widthPct = parseFloat(fill.style.width) || 0;
-        const color = fill.style.background || CHART_COLORS[i % CHART_COLORS.length];
+        const values = Array.from(bar.querySelectorAll('.chart-bar-value, .compare-value'))
+            .map(el => el.textContent.trim());
         
         // Draw label
         ctx.fillStyle = isDark ? '#8b949e' : '#656d76';
         ctx.font = '13px IBM Plex Sans, sans-serif';
         ctx.fillText(truncateText(label, 24), 24, y + 18);
         
-        // Draw bar background
-        ctx.fillStyle = isDark ? '#1c2128' : '#f6f8fa';
-        ctx.fillRect(labelWidth, y, barMaxWidth, 24);
-        
-        // Draw bar fill
-        ctx.fillStyle = color;
-        ctx.fillRect(labelWidth, y, barMaxWidth * (widthPct / 100), 24);
+        // Draw bars
+        const fill = bar.querySelector('.chart-bar-fill');
+        if (fill) {
+            drawTrack(bar.querySelector('.chart-bar-track'), fill.style.background || CHART_COLORS[i % CHART_COLORS.length], y, 24);
+        } else {
+            bar.querySelectorAll('.compare-bar-track').forEach((track, j) => {
+                const trackFill = track.querySelector('.compare-bar-fill');
+                drawTrack(track, getComputedStyle(trackFill).backgroundColor, y + j * trackHeight, trackHeight - 1);
+            });
+        }
         
         // Draw value
         ctx.fillStyle = isDark ? '#e6edf3' : '#1f2328';
         ctx.font = 'bold 13px IBM Plex Sans, sans-serif';
         ctx.textAlign = 'right';
-        ctx.fillText(value, rect.width - 24, y + 18);
+        ctx.fillText(values.join(' / '), rect.width - 24, y + 18);
         ctx.textAlign = 'left';
         
-        y += barHeight + 4;
+        y += rowHeight(bar) + 4;
     });
     
+    // Whisker legend, comparison legend and small-base warning
+    const note = chartContainer.querySelector('.chart-base-note');
+    const compareLegend = chartContainer.querySelector('.compare-legend');
+    ctx.fillStyle = isDark ? '#8b949e' : '#656d76';
+    ctx.font = '11px IBM Plex Sans, sans-serif';
+    ctx.fillText('Whiskers: 95% confidence interval (Wilson)', 24, y + 12);
+    if (compareLegend) {
+        y += 16;
+        ctx.fillText(compareLegend.textContent, 24, y + 12);
+    }
+    if (note) {
+        ctx.fillStyle = isDark ? '#d29922' : '#9a6700';
+        ctx.fillText(note.textContent, 24, y + 28);
+    }
+    
     // Add watermark
     ctx.fillStyle = isDark ? '#6e7681' : '#8c959f';
     ctx.font = '11px IBM Plex Sans, sans-serif';
-    ctx.fillText('2026 State of Data Engineering Survey • thepracticaldata.com', 24, rect.height - 12);
+    ctx.fillText('2026 State of Data Engineering Survey • thepracticaldata.com', 24, height - 12);
     
     // Download
     const link = document.createElement('a');
@@ -1067,7 +2003,10 @@ async function exportChartAsPng(chartCard) {
 }
 
 // ===== Embeddable Charts =====
+// embed.html shows a bar chart, a crosstab heatmap, a two-segment comparison
+// or a Key Findings stat card (see js/widgets.js); the modal builds its URL
 let currentEmbedColumn = null;
+let embedSegmentChoices = new Map(); // select value -> { name, filters }
 
 function initializeChartEmbed() {
     // Add embed buttons to chart cards (alongside the existing export buttons)
@@ -1098,9 +2037,20 @@ function initializeChartEmbed() {
             headerWrapper.appendChild(embedBtn);
         }
         
-        embedBtn.addEventListener('click', () => openEmbedModal(config.column));
+        embedBtn.addEventListener('click', () => openEmbedModal(config.column, compareMode ? 'compare' : 'bar'));
     });
     
+    document.getElementById('crosstab-embed').addEventListener('click', () => openEmbedModal(currentEmbedColumn, 'crosstab'));
+    
+    // Widget options: crosstab dimensions as in the Crosstab tab, findings
+    // from the report
+    const crosstabOptions = document.getElementById('crosstab-rows').innerHTML;
+    document.getElementById('embed-rows').innerHTML = crosstabOptions;
+    document.getElementById('embed-cols').innerHTML = crosstabOptions;
+    document.getElementById('embed-stat').innerHTML = Object.entries(KEY_FINDINGS)
+        .map(([id, text]) => `<option value="${id}">${escapeHtml(truncateText(text, 48))}</option>`)
+        .join('');
+    
     // Modal close handlers
     const modal = document.getElementById('embed-modal');
     const closeBtn = document.getElementById('close-embed-modal');
@@ -1122,14 +2072,23 @@ function initializeChartEmbed() {
     }
     
     // Option change handlers — regenerate code + preview
-    ['embed-theme', 'embed-metric', 'embed-width', 'embed-height', 'embed-include-filters'].forEach(id => {
+    ['embed-widget', 'embed-format', 'embed-rows', 'embed-cols', 'embed-crosstab-metric', 'embed-seg1', 'embed-seg2', 'embed-stat',
+        'embed-theme', 'embed-metric', 'embed-width', 'embed-height', 'embed-include-filters'].forEach(id => {
         const el = document.getElementById(id);
         if (el) el.addEventListener('change', updateEmbedCode);
     });
 }
 
-function openEmbedModal(column) {
-    currentEmbedColumn = column;
+function openEmbedModal(column, widget = 'bar') {
+    currentEmbedColumn = column || currentEmbedColumn || chartConfig['chart-role'].column;
+    document.getElementById('embed-widget').value = widget;
+    
+    // Crosstab widget starts from the Crosstab tab's table
+    document.getElementById('embed-rows').value = document.getElementById('crosstab-rows').value;
+    document.getElementById('embed-cols').value = document.getElementById('crosstab-cols').value;
+    document.getElementById('embed-crosstab-metric').value = document.getElementById('crosstab-metric').value;
+    
+    populateEmbedSegments();
     
     // Sync metric dropdown with current chart metric
     const metricSelect = document.getElementById('embed-metric');
@@ -1157,7 +2116,33 @@ function closeEmbedModal() {
     preview.innerHTML = '';
 }
 
+// Segment choices: everyone, the current filters, the comparison mode
+// segments and saved segments. Comparison segments are the defaults.
+function populateEmbedSegments() {
+    embedSegmentChoices = new Map([
+        ['all', { name: 'All respondents', filters: {} }],
+        ['current', { name: describeFilterState(getCurrentFilterState()) || 'Current filters', filters: getCurrentFilterState() }]
+    ]);
+    compareSegments
+        .filter(seg => !seg.table || seg.table === 'survey')
+        .forEach((seg, i) => embedSegmentChoices.set(`compare-${i}`, { name: seg.name, filters: seg.filters }));
+    getSegments().forEach(seg => embedSegmentChoices.set(`saved-${seg.id}`, { name: seg.name, filters: seg.filters }));
+    
+    const options = Array.from(embedSegmentChoices.entries())
+        .map(([value, choice]) => `<option value="${escapeHtml(value)}">${escapeHtml(truncateText(choice.name, 40))}</option>`)
+        .join('');
+    const seg1 = document.getElementById('embed-seg1');
+    const seg2 = document.getElementById('embed-seg2');
+    seg1.innerHTML = options;
+    seg2.innerHTML = options;
+    
+    const compareKeys = Array.from(embedSegmentChoices.keys()).filter(key => key.startsWith('compare-'));
+    seg1.value = compareKeys[0] || 'current';
+    seg2.value = compareKeys[1] || 'all';
+}
+
 function buildEmbedParams() {
+    const widget = document.getElementById('embed-widget').value;
     const theme = document.getElementById('embed-theme').value;
     const metric = document.getElementById('embed-metric').value;
     const includeFilters = document.getElementById('embed-include-filters').checked;
@@ -1166,34 +2151,51 @@ function buildEmbedParams() {
     const limit = config ? config.limit : 8;
     
     const params = new URLSearchParams();
-    params.set('col', currentEmbedColumn);
-    params.set('limit', limit);
-    params.set('metric', metric);
+    if (widget !== 'bar') params.set('widget', widget);
+    
+    if (widget === 'crosstab') {
+        params.set('rows', document.getElementById('embed-rows').value);
+        params.set('cols', document.getElementById('embed-cols').value);
+        params.set('metric', document.getElementById('embed-crosstab-metric').value);
+    } else if (widget === 'stat') {
+        params.set('stat', document.getElementById('embed-stat').value);
+    } else {
+        params.set('col', currentEmbedColumn);
+        params.set('limit', limit);
+        params.set('metric', metric);
+    }
+    
+    if (widget === 'compare') {
+        ['embed-seg1', 'embed-seg2'].forEach((id, i) => {
+            const choice = embedSegmentChoices.get(document.getElementById(id).value);
+            if (!choice) return;
+            params.set(`seg${i + 1}`, JSON.stringify(choice.filters));
+            params.set(`seg${i + 1}_name`, choice.name);
+        });
+    }
     params.set('theme', theme);
     
-    // Add active filters if checked
+    // Add active filters if checked, in the app's URL format
     if (includeFilters) {
-        for (const [selectId, column] of Object.entries(filterConfig)) {
-            const value = document.getElementById(selectId).value;
-            if (value) {
-                params.set(`f_${column}`, value);
-            }
-        }
-        for (const [column, value] of Object.entries(chartFilters)) {
-            params.set(`f_${column}`, value);
-        }
+        writeUrlState(params, { filters: getCurrentFilterState() });
     }
     
     return params.toString();
 }
 
 function updateEmbedCode() {
+    // Show the options of the chosen widget only
+    const widget = document.getElementById('embed-widget').value;
+    document.querySelectorAll('[data-embed-widgets]').forEach(group => {
+        group.hidden = !group.dataset.embedWidgets.split(' ').includes(widget);
+    });
+    
     const width = document.getElementById('embed-width').value;
     const height = document.getElementById('embed-height').value;
     const qs = buildEmbedParams();
     
-    // Derive base URL from the current page location
-    const baseUrl = new URL('embed.html', window.location.href).href;
+    // Deployment's explorer URL, or the current page location
+    const baseUrl = explorerUrl('embed.html');
     
     // Full URL for the copyable embed code
     const absoluteUrl = `${baseUrl}?${qs}`;
@@ -1204,15 +2206,36 @@ function updateEmbedCode() {
     // Generate iframe code with absolute URL
     const iframeCode = `<iframe src="${absoluteUrl}" width="${width}" height="${height}" frameborder="0" style="border: 1px solid #30363d; border-radius: 8px;" loading="lazy" title="2026 Data Engineering Survey Chart"></iframe>`;
     
-    // Show code
+    // Show code; bar charts can also be embedded as a <survey-chart> element
     const codeOutput = document.getElementById('embed-code-output');
-    codeOutput.textContent = iframeCode;
+    const asComponent = widget === 'bar' && document.getElementById('embed-format').value === 'component';
+    codeOutput.textContent = asComponent ? surveyChartCode() : iframeCode;
     
     // Show preview with relative URL
     const preview = document.getElementById('embed-preview');
     preview.innerHTML = `<iframe src="${escapeHtml(previewUrl)}" style="width: 100%; height: 300px; border: none;" loading="lazy" title="Chart preview"></iframe>`;
 }
 
+function surveyChartCode() {
+    const moduleUrl = explorerUrl('js/surveychart.js');
+    const attrs = [
+        `column="${currentEmbedColumn}"`,
+        `metric="${document.getElementById('embed-metric').value}"`,
+        `limit="${(Object.values(chartConfig).find(c => c.column === currentEmbedColumn) || { limit: 8 }).limit}"`
+    ];
+    if (document.getElementById('embed-theme').value === 'light') {
+        attrs.push('theme="light"');
+    }
+    
+    const filters = getCurrentFilterState();
+    const hasFilters = Object.keys(filters.sidebar).length > 0 || Object.keys(filters.chart).length > 0 || filters.advanced;
+    if (document.getElementById('embed-include-filters').checked && hasFilters) {
+        attrs.push(`filters='${JSON.stringify(filters).replace(/'/g, '&#39;')}'`);
+    }
+    
+    return `<script type="module" src="${moduleUrl}"></script>\n<survey-chart ${attrs.join(' ')}></survey-chart>`;
+}
+
 async function copyEmbedCode() {
     const code = document.getElementById('embed-code-output').textContent;
     
@@ -1253,25 +2276,24 @@ function initializeChartTooltip() {
     `;
     document.body.appendChild(tooltipEl);
     
-    // Delegate hover events on chart bars
+    // Delegate hover events on chart bars (and comparison tracks)
     document.addEventListener('mouseover', (e) => {
-        const bar = e.target.closest('.chart-bar-clickable');
+        const bar = e.target.closest('[data-base]');
         if (!bar) return;
         
-        const label = bar.querySelector('.chart-bar-label').textContent;
-        const value = bar.querySelector('.chart-bar-value').textContent;
-        const fill = bar.querySelector('.chart-bar-fill');
-        const widthPct = parseFloat(fill.style.width) || 0;
-        
-        // Get the count and percent info
-        const isPercent = chartMetric === 'percent';
-        const countText = isPercent ? value : `<strong>${value}</strong> responses`;
-        const pctText = isPercent ? `<strong>${value}</strong>` : `<strong>${widthPct.toFixed(1)}%</strong> of filtered`;
+        const row = bar.closest('.chart-bar-row');
+        const label = row.querySelector('.chart-bar-label').textContent;
+        const count = Number(bar.dataset.count);
+        const base = Number(bar.dataset.base);
+        const pct = base > 0 ? (count / base) * 100 : 0;
+        const segment = bar.dataset.segment ? `${escapeHtml(bar.dataset.segment)}: ` : '';
+        const hint = bar.classList.contains('chart-bar-clickable') ? ' (click to filter)' : '';
+        const lowBase = isLowBase(base) ? ' &middot; <em>small base</em>' : '';
         
         tooltipEl.querySelector('.chart-tooltip-label').textContent = label;
-        tooltipEl.querySelector('.chart-tooltip-value').innerHTML = isPercent 
-            ? `${pctText} (click to filter)` 
-            : `${countText} &middot; ${pctText}`;
+        tooltipEl.querySelector('.chart-tooltip-value').innerHTML = `
+            ${segment}<strong>${pct.toFixed(1)}%</strong> &middot; ${count.toLocaleString()} of ${base.toLocaleString()}${hint}
+            <div class="chart-tooltip-ci">95% CI ${formatCi(count, base)}${lowBase}</div>`;
         tooltipEl.classList.add('visible');
     });
     
@@ -1284,7 +2306,7 @@ function initializeChartTooltip() {
     });
     
     document.addEventListener('mouseout', (e) => {
-        const bar = e.target.closest('.chart-bar-clickable');
+        const bar = e.target.closest('[data-base]');
         if (bar) {
             // Check if we're moving to a child element within the bar
             const related = e.relatedTarget;
@@ -1421,17 +2443,20 @@ function initializeCrosstab() {
     const metricSelect = document.getElementById('crosstab-metric');
     const swapBtn = document.getElementById('crosstab-swap');
     const wrapToggle = document.getElementById('crosstab-wrap-text');
+    const significanceToggle = document.getElementById('crosstab-significance');
     
     // Update on selection change
     rowSelect.addEventListener('change', updateCrosstab);
     colSelect.addEventListener('change', updateCrosstab);
     metricSelect.addEventListener('change', updateCrosstab);
-    wrapToggle.addEventListener('change', () => {
-        // Just re-render, don't re-query
-        if (crosstabData) {
-            renderCrosstabTable();
-        }
-    });
+    for (const toggle of [wrapToggle, significanceToggle]) {
+        toggle.addEventListener('change', () => {
+            // Just re-render, don't re-query
+            if (crosstabData) {
+                renderCrosstabTable();
+            }
+        });
+    }
     
     // Swap button
     swapBtn.addEventListener('click', () => {
@@ -1442,22 +2467,23 @@ function initializeCrosstab() {
         updateCrosstab();
     });
     
+    // Export: the placeholder option is restored after each pick
+    const exportSelect = document.getElementById('crosstab-export');
+    exportSelect.addEventListener('change', () => {
+        const format = exportSelect.value;
+        exportSelect.value = '';
+        if (format) exportCrosstab(format);
+    });
+    
     // Initial render
     updateCrosstab();
 }
 
-// Multi-select columns that need to be split
-const MULTI_SELECT_COLUMNS = ['modeling_pain_points', 'team_focus', 'ai_helps_with'];
-
 // Crosstab sorting state
 let crosstabSortCol = null; // null = sort by row total, or column value
 let crosstabSortDir = 'desc'; // 'asc' or 'desc'
 let crosstabData = null; // Store last crosstab data for re-sorting
 
-function isMultiSelect(column) {
-    return MULTI_SELECT_COLUMNS.includes(column);
-}
-
 async function updateCrosstab() {
     const rowCol = document.getElementById('crosstab-rows').value;
     const colCol = document.getElementById('crosstab-cols').value;
@@ -1465,6 +2491,7 @@ async function updateCrosstab() {
     const container = document.getElementById('crosstab-results');
     
     if (rowCol === colCol) {
+        crosstabData = null;
         container.innerHTML = `
             <div class="empty-state">
                 <svg class="empty-state-icon" width="32" height="32" viewBox="0 0 16 16" fill="currentColor">
@@ -1478,75 +2505,35 @@ async function updateCrosstab() {
     }
     
     try {
-        const whereClause = getWhereClause();
-        
-        // Build query based on whether columns are multi-select
-        const rowIsMulti = isMultiSelect(rowCol);
-        const colIsMulti = isMultiSelect(colCol);
-        
-        let query;
-        if (rowIsMulti && colIsMulti) {
-            // Both are multi-select
-            query = `
-                SELECT 
-                    trim(row_item.value) as row_val,
-                    trim(col_item.value) as col_val,
-                    COUNT(*) as count
-                FROM survey,
-                    unnest(string_split(${rowCol}, ',')) as row_item(value),
-                    unnest(string_split(${colCol}, ',')) as col_item(value)
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${rowCol} IS NOT NULL AND ${colCol} IS NOT NULL
-                GROUP BY trim(row_item.value), trim(col_item.value)
-                ORDER BY row_val, col_val
-            `;
-        } else if (rowIsMulti) {
-            // Only row is multi-select
-            query = `
-                SELECT 
-                    trim(row_item.value) as row_val,
-                    ${colCol} as col_val,
-                    COUNT(*) as count
-                FROM survey,
-                    unnest(string_split(${rowCol}, ',')) as row_item(value)
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${rowCol} IS NOT NULL AND ${colCol} IS NOT NULL
-                GROUP BY trim(row_item.value), ${colCol}
-                ORDER BY row_val, col_val
-            `;
-        } else if (colIsMulti) {
-            // Only column is multi-select
-            query = `
-                SELECT 
-                    ${rowCol} as row_val,
-                    trim(col_item.value) as col_val,
-                    COUNT(*) as count
-                FROM survey,
-                    unnest(string_split(${colCol}, ',')) as col_item(value)
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${rowCol} IS NOT NULL AND ${colCol} IS NOT NULL
-                GROUP BY ${rowCol}, trim(col_item.value)
-                ORDER BY row_val, col_val
-            `;
-        } else {
-            // Neither is multi-select (original query)
-            query = `
-                SELECT 
-                    ${rowCol} as row_val,
-                    ${colCol} as col_val,
-                    COUNT(*) as count
-                FROM survey
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${rowCol} IS NOT NULL AND ${colCol} IS NOT NULL
-                GROUP BY ${rowCol}, ${colCol}
-                ORDER BY ${rowCol}, ${colCol}
-            `;
-        }
+        const conditions = getFilterConditions();
+        const rowNotNull = sql`${columnRef(rowCol)} IS NOT NULL`;
+        const colNotNull = sql`${columnRef(colCol)} IS NOT NULL`;
+        
+        // Multi-select columns are expanded to one row per chosen option
+        const rowSource = columnSource(rowCol, 'row_item');
+        const colSource = columnSource(colCol, 'col_item');
+        const joins = join([
+            isMultiSelect(rowCol) ? joinOptionsSql(rowCol, 'row_item') : null,
+            isMultiSelect(colCol) ? joinOptionsSql(colCol, 'col_item') : null
+        ], '\n                ');
+        
+        const query = sql`
+            SELECT 
+                ${rowSource.expr} as row_val,
+                ${colSource.expr} as col_val,
+                COUNT(*) as count
+            FROM survey
+                ${joins}
+            ${whereSql([...conditions, rowNotNull, colNotNull])}
+            GROUP BY ${rowSource.expr}, ${colSource.expr}
+            ORDER BY row_val, col_val
+        `;
         
-        const result = await conn.query(query);
+        const result = await execute(conn, query);
         const data = result.toArray();
         
         if (data.length === 0) {
+            crosstabData = null;
             container.innerHTML = `
                 <div class="empty-state">
                     <svg class="empty-state-icon" width="32" height="32" viewBox="0 0 16 16" fill="currentColor">
@@ -1559,58 +2546,41 @@ async function updateCrosstab() {
         }
         
         // Get unique row and column values with their totals
-        let rowTotalsQuery, colTotalsQuery;
-        
-        if (rowIsMulti) {
-            rowTotalsQuery = `
-                SELECT trim(item.value) as val, COUNT(*) as total
-                FROM survey, unnest(string_split(${rowCol}, ',')) as item(value)
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${rowCol} IS NOT NULL
-                GROUP BY trim(item.value)
-                ORDER BY total DESC
-            `;
-        } else {
-            rowTotalsQuery = `
-                SELECT ${rowCol} as val, COUNT(*) as total
-                FROM survey
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${rowCol} IS NOT NULL
-                GROUP BY ${rowCol}
-                ORDER BY total DESC
-            `;
-        }
+        const rowTotalsQuery = sql`
+            SELECT ${rowSource.expr} as val, COUNT(*) as total
+            FROM ${rowSource.from}
+            ${whereSql([...conditions, rowNotNull])}
+            GROUP BY ${rowSource.expr}
+            ORDER BY total DESC
+        `;
         
-        if (colIsMulti) {
-            colTotalsQuery = `
-                SELECT trim(item.value) as val, COUNT(*) as total
-                FROM survey, unnest(string_split(${colCol}, ',')) as item(value)
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${colCol} IS NOT NULL
-                GROUP BY trim(item.value)
-                ORDER BY total DESC
-            `;
-        } else {
-            colTotalsQuery = `
-                SELECT ${colCol} as val, COUNT(*) as total
-                FROM survey
-                ${whereClause}
-                ${whereClause ? 'AND' : 'WHERE'} ${colCol} IS NOT NULL
-                GROUP BY ${colCol}
-                ORDER BY total DESC
-            `;
-        }
+        const colTotalsQuery = sql`
+            SELECT ${colSource.expr} as val, COUNT(*) as total
+            FROM ${colSource.from}
+            ${whereSql([...conditions, colNotNull])}
+            GROUP BY ${colSource.expr}
+            ORDER BY total DESC
+        `;
+        
+        // Respondents in the table; with a multi-select dimension the totals
+        // count answers, so this is the base to report
+        const baseQuery = sql`
+            SELECT COUNT(*) as base
+            FROM survey
+            ${whereSql([...conditions, rowNotNull, colNotNull])}
+        `;
         
-        const [rowTotalsResult, colTotalsResult] = await Promise.all([
-            conn.query(rowTotalsQuery),
-            conn.query(colTotalsQuery)
+        const [rowTotalsResult, colTotalsResult, baseResult] = await Promise.all([
+            execute(conn, rowTotalsQuery),
+            execute(conn, colTotalsQuery),
+            execute(conn, baseQuery)
         ]);
         
         const rowTotals = new Map(rowTotalsResult.toArray().map(r => [r.val, Number(r.total)]));
         const colTotals = new Map(colTotalsResult.toArray().map(r => [r.val, Number(r.total)]));
         
-        const rows = Array.from(rowTotals.keys());
-        const cols = Array.from(colTotals.keys());
+        const rows = sortByCodebook(rowCol, Array.from(rowTotals.keys()));
+        const cols = sortByCodebook(colCol, Array.from(colTotals.keys()));
         
         // Build the matrix
         const matrix = new Map();
@@ -1624,11 +2594,14 @@ async function updateCrosstab() {
         
         // Store data for sorting
         crosstabData = {
-            rows, cols, matrix, rowTotals, colTotals, grandTotal, rowCol, colCol, metric
+            rows, cols, matrix, rowTotals, colTotals, grandTotal, rowCol, colCol, metric,
+            base: Number(baseResult.toArray()[0].base),
+            filters: getCurrentFilterState(),
+            significance: testCrosstab(rows, cols, matrix, isMultiSelect(rowCol) || isMultiSelect(colCol))
         };
         
         // Reset sort when data changes
-        crosstabSortCol = '_total';
+        crosstabSortCol = isOrdinal(rowCol) ? '_order' : '_total';
         crosstabSortDir = 'desc';
         
         renderCrosstabTable();
@@ -1639,43 +2612,75 @@ async function updateCrosstab() {
     }
 }
 
+// Chi-square test of the cell counts, with each cell's adjusted residual.
+// Cells are flagged against a Bonferroni-corrected critical value so a big
+// table doesn't light up by chance alone.
+function testCrosstab(rows, cols, matrix, multiSelect) {
+    const observed = rows.map(row => cols.map(col => matrix.get(`${row}|||${col}`) || 0));
+    const test = chiSquareTest(observed);
+    
+    const cells = new Map();
+    rows.forEach((row, i) => {
+        cols.forEach((col, j) => {
+            cells.set(`${row}|||${col}`, {
+                expected: test.expected[i][j],
+                residual: test.residuals[i][j]
+            });
+        });
+    });
+    
+    return { test, cells, critical: criticalZ(test.cells), multiSelect };
+}
+
+function renderCrosstabStats(significance) {
+    const { test, critical, multiSelect } = significance;
+    
+    if (test.df === 0) {
+        return '<div class="crosstab-stats">Not enough categories for a chi-square test</div>';
+    }
+    
+    const significant = test.pValue < SIGNIFICANCE_LEVEL;
+    let html = `
+        <div class="crosstab-stats">
+            <span class="crosstab-stats-result ${significant ? 'significant' : ''}">
+                χ² = ${test.statistic.toFixed(1)}, df = ${test.df}, ${formatPValue(test.pValue)}
+            </span>
+            <span>Cramér's V = ${test.cramersV.toFixed(2)}</span>
+            <span>${significant ? 'The dimensions are related' : 'No evidence the dimensions are related'}</span>
+            <span class="crosstab-stats-legend">
+                <span class="sig-marker sig-over">▲</span> over /
+                <span class="sig-marker sig-under">▼</span> under-represented (|adj. residual| &gt; ${critical.toFixed(2)})
+            </span>
+        </div>`;
+    
+    if (test.lowExpectedWarning) {
+        html += `
+            <div class="crosstab-stats-warning">
+                ${test.lowExpected} of ${test.cells} cells have an expected count below 5
+                (smallest ${test.minExpected.toFixed(1)}), so the test is unreliable. Try filtering less or grouping categories.
+            </div>`;
+    }
+    if (multiSelect) {
+        html += `
+            <div class="crosstab-stats-warning">
+                Respondents can pick several options of a multi-select question and appear in more than one cell, so the test is approximate.
+            </div>`;
+    }
+    
+    return html;
+}
+
 function renderCrosstabTable() {
     if (!crosstabData) return;
     
-    const { rows, cols, matrix, rowTotals, colTotals, grandTotal, rowCol, colCol, metric } = crosstabData;
+    const { cols, matrix, colTotals, grandTotal, rowCol, colCol, metric, significance } = crosstabData;
     const container = document.getElementById('crosstab-results');
     const columnLabels = getColumnLabel();
     const wrapText = document.getElementById('crosstab-wrap-text').checked;
     const wrapClass = wrapText ? ' wrap-text' : '';
+    const showSignificance = document.getElementById('crosstab-significance').checked;
     
-    // Calculate values for sorting and display
-    const rowData = rows.map(row => {
-        const values = {};
-        for (const col of cols) {
-            const count = matrix.get(`${row}|||${col}`) || 0;
-            if (metric === 'row_pct') {
-                values[col] = rowTotals.get(row) > 0 ? (count / rowTotals.get(row)) * 100 : 0;
-            } else if (metric === 'col_pct') {
-                values[col] = colTotals.get(col) > 0 ? (count / colTotals.get(col)) * 100 : 0;
-            } else {
-                values[col] = count;
-            }
-        }
-        return { row, values, total: rowTotals.get(row) };
-    });
-    
-    // Sort rows
-    rowData.sort((a, b) => {
-        let aVal, bVal;
-        if (crosstabSortCol === '_total') {
-            aVal = a.total;
-            bVal = b.total;
-        } else {
-            aVal = a.values[crosstabSortCol] || 0;
-            bVal = b.values[crosstabSortCol] || 0;
-        }
-        return crosstabSortDir === 'desc' ? bVal - aVal : aVal - bVal;
-    });
+    const rowData = crosstabRowData();
     
     // Find max value for heatmap
     let maxValue = 0;
@@ -1686,11 +2691,19 @@ function renderCrosstabTable() {
     }
     
     // Build the table
-    let html = `<table class="crosstab-table${wrapClass}">`;
+    let html = showSignificance ? renderCrosstabStats(significance) : '';
+    html += `<table class="crosstab-table${wrapClass}">`;
     
     // Header row with sortable columns
     html += '<thead><tr>';
-    html += `<th class="crosstab-corner">${columnLabels[rowCol]} / ${columnLabels[colCol]}</th>`;
+    if (isOrdinal(rowCol)) {
+        // Ordinal rows: the corner restores answer order
+        const orderActive = crosstabSortCol === '_order';
+        const orderIcon = orderActive ? (crosstabSortDir === 'desc' ? ' ↓' : ' ↑') : '';
+        html += `<th class="crosstab-corner crosstab-sortable${orderActive ? ' sort-active' : ''}" data-sort-col="_order" title="Click to sort in answer order">${columnLabels[rowCol]} / ${columnLabels[colCol]}${orderIcon}</th>`;
+    } else {
+        html += `<th class="crosstab-corner">${columnLabels[rowCol]} / ${columnLabels[colCol]}</th>`;
+    }
     for (const col of cols) {
         const displayCol = wrapText ? col : truncateText(col, 15);
         const isActive = crosstabSortCol === col;
@@ -1726,7 +2739,20 @@ function renderCrosstabTable() {
             const bgColor = getHeatmapColor(intensity);
             const textColor = intensity > 0.5 ? '#ffffff' : 'var(--color-text-primary)';
             
-            html += `<td class="crosstab-cell" style="background: ${bgColor}; color: ${textColor};" title="${count} responses">${displayValue}</td>`;
+            let title = `${count} responses`;
+            let marker = '';
+            if (showSignificance) {
+                const cell = significance.cells.get(`${rd.row}|||${col}`);
+                const residual = cell.residual;
+                title += ` · expected ${cell.expected.toFixed(1)} · adj. residual ${residual >= 0 ? '+' : ''}${residual.toFixed(2)}`;
+                if (Math.abs(residual) > significance.critical) {
+                    const over = residual > 0;
+                    title += over ? ' (over-represented)' : ' (under-represented)';
+                    marker = `<span class="sig-marker ${over ? 'sig-over' : 'sig-under'}" aria-hidden="true">${over ? '▲' : '▼'}</span>`;
+                }
+            }
+            
+            html += `<td class="crosstab-cell" style="background: ${bgColor}; color: ${textColor};" title="${title}">${displayValue}${marker}</td>`;
         }
         
         html += `<td class="crosstab-row-total">${rd.total.toLocaleString()}</td>`;
@@ -1757,41 +2783,137 @@ function renderCrosstabTable() {
                 crosstabSortCol = col;
                 crosstabSortDir = 'desc';
             }
-            renderCrosstabTable();
+            renderCrosstabTable();
+        });
+    });
+}
+
+// Rows with their displayed values (count, row % or column %), in the
+// current sort order
+function crosstabRowData() {
+    const { rows, cols, matrix, rowTotals, colTotals, metric } = crosstabData;
+    
+    const rowData = rows.map(row => {
+        const values = {};
+        for (const col of cols) {
+            const count = matrix.get(`${row}|||${col}`) || 0;
+            values[col] = crosstabValue(count, rowTotals.get(row), colTotals.get(col), metric);
+        }
+        return { row, values, total: rowTotals.get(row) };
+    });
+    
+    // Sort rows; '_order' keeps the codebook order of an ordinal row dimension
+    if (crosstabSortCol === '_order') {
+        if (crosstabSortDir === 'asc') rowData.reverse();
+    } else {
+        rowData.sort((a, b) => {
+            let aVal, bVal;
+            if (crosstabSortCol === '_total') {
+                aVal = a.total;
+                bVal = b.total;
+            } else {
+                aVal = a.values[crosstabSortCol] || 0;
+                bVal = b.values[crosstabSortCol] || 0;
+            }
+            return crosstabSortDir === 'desc' ? bVal - aVal : aVal - bVal;
         });
-    });
+    }
+    
+    return rowData;
 }
 
 function getColumnLabel() {
+    return codebookLabels();
+}
+
+// ===== Crosstab Export =====
+// The table as shown (metric, sort order, row and column totals) under a
+// header with the dimensions, filters and base n the data was queried with
+
+function crosstabExportTable() {
+    const { cols, colTotals, grandTotal, rowCol, colCol, metric, base, filters } = crosstabData;
+    const labels = getColumnLabel();
+    const rowLabel = labels[rowCol] || rowCol;
+    const colLabel = labels[colCol] || colCol;
+    
+    let sortedBy = 'Total';
+    if (crosstabSortCol === '_order') sortedBy = 'Answer order';
+    else if (crosstabSortCol !== '_total') sortedBy = crosstabSortCol;
+    
+    const multiSelect = [rowCol, colCol].filter(isMultiSelect).map(col => labels[col] || col);
+    
+    const meta = [
+        ['Crosstab', `${rowLabel} × ${colLabel}`],
+        ['Show', CROSSTAB_METRIC_LABELS[metric]],
+        ['Sorted by', `${sortedBy} (${crosstabSortDir === 'desc' ? 'descending' : 'ascending'})`],
+        ['Filters', describeFilterState(filters) || 'None'],
+        ['Base', `n = ${base.toLocaleString()} respondents`]
+    ];
+    if (multiSelect.length > 0) {
+        meta.push(['Note', `${multiSelect.join(' and ')} ${multiSelect.length > 1 ? 'are' : 'is'} multi-select; totals count answers`]);
+    }
+    
     return {
-        'role': 'Role',
-        'org_size': 'Org Size',
-        'industry': 'Industry',
-        'region': 'Region',
-        'ai_usage_frequency': 'AI Usage',
-        'ai_adoption': 'AI Adoption',
-        'storage_environment': 'Storage',
-        'orchestration': 'Orchestration',
-        'modeling_approach': 'Modeling',
-        'modeling_pain_points': 'Pain Points',
-        'architecture_trend': 'Architecture',
-        'team_growth_2026': 'Team Growth',
-        'biggest_bottleneck': 'Bottleneck',
-        'team_focus': 'Team Focus',
-        'ai_helps_with': 'AI Helps With',
-        'education_topic': 'Education Topic'
+        meta,
+        metric,
+        header: [`${rowLabel} / ${colLabel}`, ...cols, 'Total'],
+        rows: crosstabRowData().map(rd => [rd.row, ...cols.map(col => rd.values[col] || 0), rd.total]),
+        totals: ['Total', ...cols.map(col => colTotals.get(col)), grandTotal]
     };
 }
 
-function getHeatmapColor(intensity) {
-    if (intensity === 0) return 'transparent';
+function exportCrosstab(format) {
+    if (!crosstabData) {
+        showToast('No crosstab to export', 'error');
+        return;
+    }
     
-    // Blue heatmap: from light to dark blue
-    const minAlpha = 0.15;
-    const maxAlpha = 0.85;
-    const alpha = minAlpha + (intensity * (maxAlpha - minAlpha));
+    const table = crosstabExportTable();
+    const name = `crosstab_${crosstabData.rowCol}_by_${crosstabData.colCol}`;
+    const isPercent = table.metric !== 'count';
+    
+    if (format === 'csv') {
+        const lines = [
+            ...table.meta.map(row => row.map(csvField).join(',')),
+            '',
+            table.header.map(csvField).join(','),
+            ...table.rows.map(row => row.map((value, i) =>
+                csvField(isPercent && i > 0 && i < row.length - 1 ? value.toFixed(1) : value)
+            ).join(',')),
+            table.totals.map(csvField).join(',')
+        ];
+        // BOM so Excel reads the file as UTF-8
+        downloadBlob(new Blob(['\uFEFF' + lines.join('\n') + '\n'], { type: 'text/csv;charset=utf-8;' }), `${name}.csv`);
+    } else if (format === 'xlsx') {
+        const bold = value => ({ value, style: 'bold' });
+        const rows = [
+            ...table.meta.map(([label, value]) => [bold(label), value]),
+            [],
+            table.header.map(bold),
+            ...table.rows.map(row => row.map((value, i) =>
+                isPercent && i > 0 && i < row.length - 1 ? { value: value / 100, style: 'percent' } : value
+            )),
+            table.totals.map((value, i) => i === 0 ? bold(value) : value)
+        ];
+        downloadBlob(writeXlsx([{ name: 'Crosstab', rows, freezeRows: table.meta.length + 2 }]), `${name}.xlsx`);
+    } else if (format === 'md') {
+        const mdRow = cells => `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+        const lines = [
+            `**${table.meta[0][1]}**`,
+            '',
+            ...table.meta.slice(1).map(([label, value]) => `- ${label}: ${value}`),
+            '',
+            mdRow(table.header),
+            `| --- | ${table.header.slice(1).map(() => '---:').join(' | ')} |`,
+            ...table.rows.map(row => mdRow(row.map((value, i) =>
+                isPercent && i > 0 && i < row.length - 1 ? `${value.toFixed(1)}%` : value.toLocaleString()
+            ))),
+            mdRow(table.totals.map((value, i) => `**${i === 0 ? value : value.toLocaleString()}**`))
+        ];
+        downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/markdown;charset=utf-8;' }), `${name}.md`);
+    }
     
-    return `rgba(88, 166, 255, ${alpha})`;
+    showToast(`Exported crosstab as ${format === 'md' ? 'Markdown' : format.toUpperCase()}`, 'success');
 }
 
 // ===== Responses Viewer =====
@@ -1835,6 +2957,12 @@ function initializeResponses() {
     // Export filtered CSV
     document.getElementById('export-filtered-csv').addEventListener('click', exportFilteredCsv);
     
+    // Export filtered XLSX
+    document.getElementById('export-filtered-xlsx').addEventListener('click', exportFilteredXlsx);
+    
+    // Export filtered Parquet
+    document.getElementById('export-filtered-parquet').addEventListener('click', exportFilteredParquet);
+    
     // Export filtered JSON
     const jsonBtn = document.getElementById('export-filtered-json');
     if (jsonBtn) {
@@ -1850,25 +2978,23 @@ async function updateResponses() {
     const showTextFields = document.getElementById('show-text-fields').checked;
     
     try {
-        let whereClause = getWhereClause();
+        const extra = [];
         
         // Add search term to WHERE clause
         if (responsesSearchTerm) {
-            const escapedSearch = responsesSearchTerm.replace(/'/g, "''");
-            const searchCondition = `(
-                education_topic ILIKE '%${escapedSearch}%' 
-                OR industry_wish ILIKE '%${escapedSearch}%'
-                OR role ILIKE '%${escapedSearch}%'
-                OR industry ILIKE '%${escapedSearch}%'
-                OR region ILIKE '%${escapedSearch}%'
-            )`;
-            whereClause = whereClause 
-                ? `${whereClause} AND ${searchCondition}`
-                : `WHERE ${searchCondition}`;
+            const pattern = `%${responsesSearchTerm}%`;
+            extra.push(sql`(
+                education_topic ILIKE ${pattern} 
+                OR industry_wish ILIKE ${pattern}
+                OR role ILIKE ${pattern}
+                OR industry ILIKE ${pattern}
+                OR region ILIKE ${pattern}
+            )`);
         }
+        const whereClause = getWhereClause(extra);
         
         // Get total count
-        const countResult = await conn.query(`SELECT COUNT(*) as count FROM survey ${whereClause}`);
+        const countResult = await execute(conn, sql`SELECT COUNT(*) as count FROM survey ${whereClause}`);
         responsesTotalCount = Number(countResult.toArray()[0].count);
         
         // Reset to first page if filters changed and we're beyond available data
@@ -1882,16 +3008,16 @@ async function updateResponses() {
         const columns = showTextFields ? [...baseColumns, ...textColumns] : baseColumns;
         
         // Get paginated data
-        const query = `
-            SELECT ${columns.join(', ')}
+        const query = sql`
+            SELECT ${join(columns.map(c => columnRef(c)))}
             FROM survey
             ${whereClause}
             ORDER BY timestamp DESC
-            LIMIT ${responsesPerPage}
-            OFFSET ${responsesPage * responsesPerPage}
+            LIMIT ${int(responsesPerPage)}
+            OFFSET ${int(responsesPage * responsesPerPage)}
         `;
         
-        const result = await conn.query(query);
+        const result = await execute(conn, query);
         const rows = result.toArray();
         
         // Update counts
@@ -1920,15 +3046,7 @@ async function updateResponses() {
         }
         
         // Column labels
-        const columnLabels = {
-            'role': 'Role',
-            'org_size': 'Org Size',
-            'industry': 'Industry',
-            'region': 'Region',
-            'ai_usage_frequency': 'AI Usage',
-            'education_topic': 'Education Topic',
-            'industry_wish': 'Industry Wish'
-        };
+        const columnLabels = getColumnLabel();
         
         // Build table
         let html = '<table class="responses-table">';
@@ -2003,9 +3121,8 @@ async function updateResponses() {
 
 async function exportFilteredCsv() {
     try {
-        const whereClause = getWhereClause();
-        const query = `SELECT * FROM survey ${whereClause} ORDER BY timestamp DESC`;
-        const result = await conn.query(query);
+        const query = sql`SELECT * FROM survey ${getWhereClause()} ORDER BY timestamp DESC`;
+        const result = await execute(conn, query);
         const rows = result.toArray();
         
         if (rows.length === 0) {
@@ -2048,12 +3165,113 @@ async function exportFilteredCsv() {
     }
 }
 
+// ===== XLSX Export =====
+async function exportFilteredXlsx() {
+    try {
+        const query = sql`SELECT * FROM survey ${getWhereClause()} ORDER BY timestamp DESC`;
+        const result = await execute(conn, query);
+        const rows = result.toArray();
+        
+        if (rows.length === 0) {
+            showToast('No data to export with current filters', 'error');
+            return;
+        }
+        
+        const blob = writeXlsx([
+            resultSheet('Responses', result.schema.fields, rows),
+            querySheet([
+                ['Source', 'Responses tab'],
+                ['Filters', describeFilterState(getCurrentFilterState()) || 'None'],
+                ['Rows', rows.length],
+                ['Query', toDisplaySql(query)]
+            ])
+        ]);
+        downloadBlob(blob, `survey_filtered_${rows.length}_responses.xlsx`);
+        
+        showToast(`Exported ${rows.length} responses as XLSX`, 'success');
+    } catch (error) {
+        console.error('XLSX export error:', error);
+        showToast('Error exporting data: ' + error.message, 'error');
+    }
+}
+
+// Second sheet of an export: what was exported and how
+function querySheet(entries) {
+    return {
+        name: 'Query',
+        rows: [
+            ...entries.map(([label, value]) => [{ value: label, style: 'bold' }, value]),
+            [{ value: 'Exported', style: 'bold' }, new Date()]
+        ]
+    };
+}
+
+// ===== Parquet Export =====
+// DuckDB writes the file into its virtual filesystem with COPY ... TO, so the
+// column types survive; the buffer is then handed to the browser as a download
+const PARQUET_EXPORT_FILE = 'export.parquet';
+const PARQUET_EXPORT_TABLE = 'parquet_export';
+
+// DuckDB-WASM 1.28 (DuckDB 0.9) can't prepare a COPY with parameters, so the
+// rows go into a temp table first and the COPY itself has none
+async function downloadParquet(query, filename) {
+    // On its own line, a trailing `-- comment` in the query can't hide the end
+    await execute(conn, sql`
+        CREATE OR REPLACE TEMP TABLE ${tableName(PARQUET_EXPORT_TABLE)} AS
+        ${query}
+    `);
+    try {
+        await execute(conn, sql`COPY ${tableName(PARQUET_EXPORT_TABLE)} TO ${raw(`'${PARQUET_EXPORT_FILE}'`)} (FORMAT PARQUET)`);
+        try {
+            const buffer = await db.copyFileToBuffer(PARQUET_EXPORT_FILE);
+            downloadBlob(new Blob([buffer], { type: 'application/vnd.apache.parquet' }), filename);
+        } finally {
+            await db.dropFile(PARQUET_EXPORT_FILE);
+        }
+    } finally {
+        await execute(conn, sql`DROP TABLE ${tableName(PARQUET_EXPORT_TABLE)}`);
+    }
+}
+
+async function exportFilteredParquet() {
+    try {
+        const where = getWhereClause();
+        const countResult = await execute(conn, sql`SELECT COUNT(*) as c FROM survey ${where}`);
+        const count = Number(countResult.toArray()[0].c);
+        
+        if (count === 0) {
+            showToast('No data to export with current filters', 'error');
+            return;
+        }
+        
+        await downloadParquet(sql`SELECT * FROM survey ${where} ORDER BY timestamp DESC`, `survey_filtered_${count}_responses.parquet`);
+        showToast(`Exported ${count} responses as Parquet`, 'success');
+    } catch (error) {
+        console.error('Parquet export error:', error);
+        showToast('Error exporting data: ' + error.message, 'error');
+    }
+}
+
+// Re-runs the last query for the export; it has to be a single SELECT-like statement
+async function exportSqlResultsParquet() {
+    if (!lastSqlResults || !lastSqlResults.rows.length) {
+        return;
+    }
+    
+    try {
+        const query = lastSqlResults.sql.replace(/;\s*$/, '');
+        await downloadParquet(raw(query), `sql_results_${lastSqlResults.rows.length}_rows.parquet`);
+    } catch (error) {
+        console.error('Parquet export error:', error);
+        showToast('Could not export as Parquet: ' + error.message, 'error', 5000);
+    }
+}
+
 // ===== JSON Export =====
 async function exportFilteredJson() {
     try {
-        const whereClause = getWhereClause();
-        const query = `SELECT * FROM survey ${whereClause} ORDER BY timestamp DESC`;
-        const result = await conn.query(query);
+        const query = sql`SELECT * FROM survey ${getWhereClause()} ORDER BY timestamp DESC`;
+        const result = await execute(conn, query);
         const rows = result.toArray();
         
         if (rows.length === 0) {
@@ -2159,6 +3377,212 @@ function initializeScrollToTop() {
     });
 }
 
+// ===== Live Report =====
+// Report tables are recomputed from the data at load; figures quoted in the
+// prose are checked against the same queries and flagged when they drift.
+async function renderLiveReport() {
+    const drift = [];
+
+    for (const tableEl of document.querySelectorAll('table[data-report]')) {
+        const spec = REPORT_TABLES[tableEl.dataset.report];
+        if (!spec) continue;
+        try {
+            drift.push(...await renderReportTable(tableEl, spec));
+        } catch (error) {
+            console.error(`Report table ${tableEl.dataset.report} failed:`, error);
+        }
+    }
+
+    const statValues = new Map();
+    for (const el of document.querySelectorAll('[data-report-stat]')) {
+        const id = el.dataset.reportStat;
+        const spec = REPORT_STATS[id];
+        if (!spec) continue;
+        try {
+            if (!statValues.has(id)) statValues.set(id, await computeReportStat(conn, spec));
+        } catch (error) {
+            console.error(`Report figure ${id} failed:`, error);
+            continue;
+        }
+        const value = statValues.get(id);
+        const quoted = el.textContent.trim();
+        if (matchesQuoted(quoted, value, spec.tolerance)) continue;
+
+        const computed = formatReportValue(value, spec.metric || 'percent');
+        el.classList.add('report-drift');
+        el.title = `The data gives ${computed}`;
+        drift.push({ el, where: reportHeading(el), quoted, computed });
+    }
+
+    renderReportDrift(drift);
+}
+
+// Replace a table's rows with computed ones; returns cells that changed
+async function renderReportTable(tableEl, spec) {
+    const tbody = tableEl.querySelector('tbody');
+    const headers = Array.from(tableEl.querySelectorAll('thead th')).map(th => th.textContent.trim());
+    const previous = new Map(Array.from(tbody.rows).map(tr =>
+        [tr.cells[0].textContent.trim(), Array.from(tr.cells).slice(1).map(td => td.textContent.trim())]));
+    const rows = await computeReportTable(conn, spec);
+    const changed = [];
+
+    tbody.innerHTML = rows.map(row => `<tr>
+        <td>${escapeHtml(row.label)}</td>
+        ${row.cells.map((cell, i) => {
+            const quoted = previous.has(row.label) ? previous.get(row.label)[i] : null;
+            if (quoted === null || quoted === undefined || matchesQuoted(quoted, cell.value)) {
+                return `<td>${cell.text}</td>`;
+            }
+            changed.push({ label: `${row.label}, ${headers[i + 1] || ''}`, quoted, computed: cell.text });
+            return `<td class="report-drift" title="Previously published as ${escapeHtml(quoted)}">${cell.text}</td>`;
+        }).join('')}
+    </tr>`).join('');
+
+    const where = reportHeading(tableEl);
+    return changed.map(c => ({
+        el: tableEl,
+        where: `${where}: ${c.label}`,
+        quoted: c.quoted,
+        computed: c.computed
+    }));
+}
+
+// Nearest preceding heading, to say where in the report a figure sits
+function reportHeading(el) {
+    let node = el.closest('p, li, table, .finding, header') || el;
+    while (node) {
+        let sibling = node.previousElementSibling;
+        while (sibling) {
+            if (/^H[1-4]$/.test(sibling.tagName)) return sibling.textContent.trim();
+            sibling = sibling.previousElementSibling;
+        }
+        node = node.parentElement;
+        if (node && node.classList.contains('report-content')) break;
+    }
+    return 'Report';
+}
+
+function renderReportDrift(drift) {
+    const banner = document.getElementById('report-drift');
+    if (!banner) return;
+    if (!drift.length) {
+        banner.hidden = true;
+        return;
+    }
+
+    banner.innerHTML = `
+        <strong>${drift.length} figure${drift.length === 1 ? '' : 's'} in this report differ from the current data.</strong>
+        <ul>
+            ${drift.map((d, i) => `<li><button type="button" class="report-drift-link" data-index="${i}">${escapeHtml(d.where)}</button>: report says ${escapeHtml(d.quoted)}, data gives ${escapeHtml(d.computed)}</li>`).join('')}
+        </ul>
+    `;
+    banner.hidden = false;
+
+    banner.querySelectorAll('.report-drift-link').forEach(btn => {
+        btn.addEventListener('click', () => {
+            drift[Number(btn.dataset.index)].el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+    });
+}
+
+// ===== Report for a Segment =====
+// With segment mode on, the sidebar filters apply to the Report tab: every
+// table shows the segment next to all respondents, and the filter panel stays
+// visible. The prose keeps describing all respondents.
+let reportSegmentMode = false;
+const reportTableHtml = new Map(); // table element -> all-respondents markup
+
+function initializeReportSegment() {
+    const toggle = document.getElementById('report-segment-toggle');
+    const printBtn = document.getElementById('report-print');
+
+    document.querySelectorAll('table[data-report]').forEach(tableEl => {
+        reportTableHtml.set(tableEl, tableEl.innerHTML);
+    });
+
+    toggle.addEventListener('change', async () => {
+        reportSegmentMode = toggle.checked;
+        updateFilterPanelVisibility();
+        await updateReportSegment();
+    });
+
+    printBtn.addEventListener('click', () => window.print());
+}
+
+async function updateReportSegment() {
+    const summary = document.getElementById('report-segment-summary');
+    const conditions = getFilterConditions();
+    const active = reportSegmentMode && conditions.length > 0;
+
+    if (!active) {
+        reportTableHtml.forEach((html, tableEl) => { tableEl.innerHTML = html; });
+        summary.textContent = reportSegmentMode
+            ? 'Set filters in the sidebar to compare a segment with all respondents.'
+            : '';
+        return;
+    }
+
+    const description = describeFilterState(getCurrentFilterState());
+    let segmentBase = 0;
+    let overallBase = 0;
+
+    try {
+        for (const tableEl of reportTableHtml.keys()) {
+            const spec = REPORT_TABLES[tableEl.dataset.report];
+            if (!spec) continue;
+            const result = await computeSegmentTable(conn, spec, conditions);
+            segmentBase = result.segmentBase;
+            overallBase = result.overallBase;
+            renderSegmentReportTable(tableEl, result);
+        }
+    } catch (error) {
+        console.error('Segment report error:', error);
+        showToast('Could not build the segment report', 'error');
+        return;
+    }
+
+    const lowBase = isLowBase(segmentBase)
+        ? ` Small base (n < ${minBase}): treat differences with caution.`
+        : '';
+    summary.innerHTML = `
+        <strong>${escapeHtml(description)}</strong> (n = ${segmentBase.toLocaleString()})
+        vs all respondents (n = ${overallBase.toLocaleString()}).
+        Figures in the text describe all respondents.${escapeHtml(lowBase)}
+    `;
+}
+
+function renderSegmentReportTable(tableEl, { rows, segmentBase, overallBase }) {
+    const heading = tableEl.querySelector('thead th').innerHTML;
+    // Segment against the rest of the sample, Bonferroni across the table's rows
+    const critical = criticalZ(rows.length);
+    const restBase = overallBase - segmentBase;
+
+    tableEl.innerHTML = `
+        <thead>
+            <tr>
+                <th>${heading}</th>
+                <th>Segment</th>
+                <th>All respondents</th>
+                <th>Difference</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(row => {
+                const diff = row.segment.percent - row.overall.percent;
+                const { z } = twoProportionTest(row.segment.count, segmentBase,
+                    row.overall.count - row.segment.count, restBase);
+                const significant = !isLowBase(segmentBase) && Math.abs(z) > critical;
+                return `<tr>
+                    <td>${escapeHtml(row.label)}</td>
+                    <td title="${row.segment.count.toLocaleString()} of ${segmentBase.toLocaleString()} &middot; 95% CI ${formatCi(row.segment.count, segmentBase)}">${row.segment.percent.toFixed(1)}%</td>
+                    <td>${row.overall.percent.toFixed(1)}%</td>
+                    <td class="report-diff${significant ? ' significant' : ''}" title="${significant ? 'Significant at the 5% level vs the rest of the sample' : 'Not significant'}">${diff >= 0 ? '+' : ''}${diff.toFixed(1)} pp${significant ? '*' : ''}</td>
+                </tr>`;
+            }).join('')}
+        </tbody>
+    `;
+}
+
 // ===== Report TOC Scroll Spy =====
 function initializeReportToc() {
     const tocLinks = document.querySelectorAll('.toc-link');
@@ -2252,7 +3676,7 @@ function initializeKeyboardShortcuts() {
         // / — Focus first filter
         if (e.key === '/') {
             e.preventDefault();
-            const firstFilter = document.getElementById('filter-role');
+            const firstFilter = document.querySelector('#filter-role .multi-filter-trigger');
             if (firstFilter) {
                 // On mobile, open filter panel first
                 const filterPanel = document.querySelector('.filter-panel');
@@ -2278,6 +3702,7 @@ function closeAllModals() {
     const aboutModal = document.getElementById('about-modal');
     const shortcutsModal = document.getElementById('shortcuts-modal');
     const embedModal = document.getElementById('embed-modal');
+    const advancedModal = document.getElementById('advanced-filter-modal');
     
     if (aboutModal && aboutModal.classList.contains('open')) {
         aboutModal.classList.remove('open');
@@ -2290,6 +3715,9 @@ function closeAllModals() {
     if (embedModal && embedModal.classList.contains('open')) {
         closeEmbedModal();
     }
+    if (advancedModal && advancedModal.classList.contains('open')) {
+        closeAdvancedFilter();
+    }
 }
 
 // ===== Shortcuts Modal =====
@@ -2444,219 +3872,491 @@ function formatTimeAgo(isoString) {
     return new Date(isoString).toLocaleDateString();
 }
 
+// ===== Your Own Data =====
+// A file with the survey's columns, loaded as survey_custom (customdata.js).
+// Charts and comparison mode show the public survey, your data, or your data
+// benchmarked against the public survey under the same filters.
+let datasetMode = 'public'; // 'public' | 'custom' | 'benchmark'
+let customDataset = null; // { name, rows } once a file is loaded
+
+function datasetTable() {
+    return datasetMode === 'public' || !customDataset ? 'survey' : CUSTOM_TABLE;
+}
+
+// Crosstab and Responses always query the public survey; say so while the
+// charts show your data
+function updateDatasetNotes() {
+    const custom = datasetTable() === CUSTOM_TABLE;
+    document.querySelectorAll('[data-dataset-note]').forEach(note => {
+        note.hidden = !custom;
+    });
+}
+
+function datasetLabel(table) {
+    return table === CUSTOM_TABLE ? 'Your data' : 'Public survey';
+}
+
+function initializeCustomData() {
+    const select = document.getElementById('dataset-select');
+    const fileInput = document.getElementById('dataset-file');
+    
+    document.getElementById('dataset-upload').addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const { rows, ignored } = await loadCustomSurvey(db, conn, file, surveySchema);
+            customDataset = { name: file.name, rows };
+        } catch (error) {
+            console.error('Custom data error:', error);
+            showToast(`Could not load ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`, 'error', 6000);
+            return;
+        }
+        
+        // survey_custom was replaced, so cached chart results are stale
+        chartCache.clear();
+        select.querySelectorAll('option[value="custom"], option[value="benchmark"]').forEach(opt => {
+            opt.disabled = false;
+        });
+        select.querySelector('option[value="custom"]').textContent =
+            `Your data (${customDataset.rows.toLocaleString()})`;
+        select.title = customDataset.name;
+        select.value = 'benchmark';
+        datasetMode = 'benchmark';
+        
+        const note = ignored.length > 0 ? `; ignored columns: ${ignored.join(', ')}` : '';
+        showToast(`Loaded ${customDataset.rows.toLocaleString()} responses from ${escapeHtml(file.name)}${escapeHtml(note)}`, 'success', 5000);
+        updateDatasetNotes();
+        updateFilteredCount();
+        updateCharts();
+    });
+    
+    select.addEventListener('change', () => {
+        datasetMode = select.value;
+        updateDatasetNotes();
+        updateFilteredCount();
+        updateCharts();
+    });
+}
+
 // ===== Comparison Mode =====
+// Each comparison segment is a full filter state ({ sidebar, chart, advanced },
+// the same shape as saved segments). Sidebar filters don't apply in this mode.
+// Differences are in percentage points against the "all respondents" baseline,
+// or against the first segment when the baseline is off. Segments also record
+// the dataset they were added from (`table`), so your data can be compared
+// with the public survey.
+const MAX_COMPARE_SEGMENTS = 6;
+const BASELINE_COLOR = 'var(--color-text-muted)';
+let compareSegments = [];
+
 function initializeComparisonMode() {
     const toggleBtn = document.getElementById('compare-toggle');
     const controls = document.getElementById('compare-controls');
     const dimSelect = document.getElementById('compare-dim');
-    const valASelect = document.getElementById('compare-val-a');
-    const valBSelect = document.getElementById('compare-val-b');
-    const runBtn = document.getElementById('compare-run');
+    const valSelect = document.getElementById('compare-val');
+    const savedSelect = document.getElementById('compare-add-saved');
     
     if (!toggleBtn || !controls) return;
     
-    toggleBtn.addEventListener('click', () => {
+    toggleBtn.addEventListener('click', async () => {
         compareMode = !compareMode;
+        if (compareMode) setTrendMode(false);
         toggleBtn.classList.toggle('active', compareMode);
         controls.classList.toggle('visible', compareMode);
         
         if (compareMode) {
-            populateCompareValues();
-        } else {
-            updateCharts();
+            const rows = await populateCompareValues();
+            // Start with the two largest groups of the dimension
+            if (compareSegments.length === 0) {
+                rows.slice(0, 2).forEach(row => addValueSegment(dimSelect.value, row.value));
+            }
+            renderCompareSegments();
         }
+        updateCharts();
     });
     
     dimSelect.addEventListener('change', () => {
         populateCompareValues();
     });
     
-    runBtn.addEventListener('click', () => {
+    document.getElementById('compare-add-value').addEventListener('click', () => {
+        if (valSelect.value && addValueSegment(dimSelect.value, valSelect.value)) {
+            renderCompareSegments();
+            updateCharts();
+        }
+    });
+    
+    document.getElementById('compare-add-current').addEventListener('click', () => {
+        const filters = getCurrentFilterState();
+        const name = describeFilterState(filters) || 'All respondents';
+        if (addCompareSegment(name, filters)) {
+            renderCompareSegments();
+            updateCharts();
+        }
+    });
+    
+    savedSelect.addEventListener('change', () => {
+        const segment = getSegments().find(seg => seg.id === savedSelect.value);
+        savedSelect.value = '';
+        if (segment && addCompareSegment(segment.name, segment.filters)) {
+            renderCompareSegments();
+            updateCharts();
+        }
+    });
+    
+    document.getElementById('compare-baseline').addEventListener('change', () => {
+        renderCompareSegments();
         updateCharts();
     });
+    
+    populateCompareSaved();
+}
+
+// Adds the segment on the selected dataset; when benchmarking, on both
+function addCompareSegment(name, filters) {
+    const tables = datasetMode === 'benchmark' ? [CUSTOM_TABLE, 'survey'] : [datasetTable()];
+    if (compareSegments.length + tables.length > MAX_COMPARE_SEGMENTS) {
+        showToast(`Compare up to ${MAX_COMPARE_SEGMENTS} segments at a time`, 'error');
+        return false;
+    }
+    tables.forEach(table => {
+        const suffix = customDataset ? ` (${datasetLabel(table)})` : '';
+        compareSegments.push({
+            id: `cmp-${Date.now().toString(36)}-${compareSegments.length}`,
+            name: name + suffix,
+            filters,
+            table
+        });
+    });
+    return true;
+}
+
+function addValueSegment(column, value) {
+    const labels = getColumnLabel();
+    return addCompareSegment(`${labels[column] || column}: ${value}`, {
+        sidebar: { [column]: { values: [value], mode: 'include' } },
+        chart: {},
+        advanced: null
+    });
+}
+
+function removeCompareSegment(id) {
+    compareSegments = compareSegments.filter(seg => seg.id !== id);
+    renderCompareSegments();
+    updateCharts();
+}
+
+function isBaselineEnabled() {
+    return document.getElementById('compare-baseline').checked;
+}
+
+function renderCompareSegments() {
+    const container = document.getElementById('compare-segments');
+    
+    let html = compareSegments.map((seg, i) => `
+        <span class="compare-chip" title="${escapeHtml(seg.name)}">
+            <span class="compare-chip-swatch" style="background: ${CHART_COLORS[i % CHART_COLORS.length]};"></span>
+            <span class="compare-chip-name">${escapeHtml(truncateText(seg.name, 40))}</span>
+            <button class="compare-chip-remove" data-id="${seg.id}" aria-label="Remove ${escapeHtml(seg.name)}">×</button>
+        </span>`).join('');
+    
+    if (isBaselineEnabled()) {
+        html += `
+            <span class="compare-chip compare-chip-baseline">
+                <span class="compare-chip-swatch" style="background: ${BASELINE_COLOR};"></span>
+                <span class="compare-chip-name">${baselineName()}</span>
+            </span>`;
+    }
+    if (compareSegments.length === 0) {
+        html += '<span class="compare-empty">Add segments to compare</span>';
+    }
+    
+    container.innerHTML = html;
+    container.querySelectorAll('.compare-chip-remove').forEach(btn => {
+        btn.addEventListener('click', () => removeCompareSegment(btn.dataset.id));
+    });
+}
+
+// Saved segments offered in the "+ Saved segment" menu
+function populateCompareSaved() {
+    const select = document.getElementById('compare-add-saved');
+    if (!select) return;
+    select.innerHTML = '<option value="">+ Saved segment…</option>' + getSegments()
+        .map(seg => `<option value="${escapeHtml(seg.id)}">${escapeHtml(seg.name)}</option>`)
+        .join('');
 }
 
 async function populateCompareValues() {
     const dim = document.getElementById('compare-dim').value;
-    const valASelect = document.getElementById('compare-val-a');
-    const valBSelect = document.getElementById('compare-val-b');
+    const valSelect = document.getElementById('compare-val');
     
     try {
-        const result = await conn.query(`
-            SELECT DISTINCT ${dim} as value, COUNT(*) as count
-            FROM survey
-            WHERE ${dim} IS NOT NULL
-            GROUP BY ${dim}
+        const source = columnSource(dim);
+        const result = await execute(conn, sql`
+            SELECT ${source.expr} as value, COUNT(*) as count
+            FROM ${source.from}
+            WHERE ${columnRef(dim)} IS NOT NULL
+            GROUP BY ${source.expr}
             ORDER BY count DESC
             LIMIT 20
         `);
         
         const rows = result.toArray();
         
-        const makeOptions = (select, defaultIdx) => {
-            select.innerHTML = '';
-            rows.forEach((row, i) => {
-                const opt = document.createElement('option');
-                opt.value = row.value;
-                opt.textContent = `${row.value} (${Number(row.count).toLocaleString()})`;
-                if (i === defaultIdx) opt.selected = true;
-                select.appendChild(opt);
-            });
-        };
-        
-        makeOptions(valASelect, 0);
-        makeOptions(valBSelect, Math.min(1, rows.length - 1));
+        valSelect.innerHTML = '';
+        rows.forEach(row => {
+            const opt = document.createElement('option');
+            opt.value = row.value;
+            opt.textContent = `${row.value} (${Number(row.count).toLocaleString()})`;
+            valSelect.appendChild(opt);
+        });
+        return rows;
         
     } catch (e) {
         console.error('Compare populate error:', e);
+        return [];
+    }
+}
+
+// Segments (plus the baseline, when on) with their conditions and sizes.
+// The reference series is the baseline, or the first segment without it.
+async function getComparisonSeries() {
+    // Segments on a dataset that is no longer loaded are dropped
+    compareSegments = compareSegments.filter(seg => !seg.table || seg.table === 'survey' || customDataset);
+    
+    const series = compareSegments.map((seg, i) => ({
+        name: seg.name,
+        color: CHART_COLORS[i % CHART_COLORS.length],
+        table: seg.table || 'survey',
+        conditions: filterStateConditions(seg.filters, seg.table || 'survey')
+    }));
+    if (isBaselineEnabled()) {
+        series.push({ name: baselineName(), color: BASELINE_COLOR, table: 'survey', conditions: [], baseline: true });
     }
+    
+    return withSeriesTotals(series);
+}
+
+// Your data against the public survey, both under the current filters
+async function getBenchmarkSeries() {
+    const state = getCurrentFilterState();
+    return withSeriesTotals([
+        { name: datasetLabel(CUSTOM_TABLE), color: CHART_COLORS[0], table: CUSTOM_TABLE, conditions: filterStateConditions(state, CUSTOM_TABLE) },
+        { name: datasetLabel('survey'), color: BASELINE_COLOR, table: 'survey', conditions: filterStateConditions(state), baseline: true }
+    ]);
 }
 
-async function renderComparisonChart(chartId, column, limit) {
+// Respondent counts per series; the reference series is one already marked,
+// the baseline, or the first series
+async function withSeriesTotals(series) {
+    const totals = await Promise.all(series.map(s =>
+        execute(conn, sql`SELECT COUNT(*) as c FROM ${tableName(s.table)} ${whereSql(s.conditions)}`)
+    ));
+    series.forEach((s, i) => { s.total = Number(totals[i].toArray()[0].c); });
+    
+    const reference = series.find(s => s.reference) || series.find(s => s.baseline) || series[0];
+    if (reference) reference.reference = true;
+    return series;
+}
+
+function baselineName() {
+    return customDataset ? 'All public respondents' : 'All respondents';
+}
+
+// Difference of `s` from the reference for one label, with its z-test. A
+// segment of the baseline's dataset is a subset of it, so it is tested
+// against the rest; a segment of another dataset is an independent sample.
+function compareToReference(s, reference, counts) {
+    const subset = reference.baseline && s.table === reference.table;
+    return compareProportions(counts.get(s), s.total, counts.get(reference), reference.total, subset);
+}
+
+// isCurrent() turns false once a newer updateCharts run has started
+async function renderComparisonChart(chartId, column, limit, series, isCurrent = () => true) {
     const container = document.getElementById(chartId);
-    const dim = document.getElementById('compare-dim').value;
-    const valA = document.getElementById('compare-val-a').value;
-    const valB = document.getElementById('compare-val-b').value;
     
-    if (!valA || !valB) {
-        container.innerHTML = '<p class="placeholder-text">Select two segments to compare</p>';
+    if (series.filter(s => !s.baseline).length === 0) {
+        container.innerHTML = '<p class="placeholder-text">Add segments to compare</p>';
         return;
     }
     
     try {
-        const escapedA = valA.replace(/'/g, "''");
-        const escapedB = valB.replace(/'/g, "''");
-        
-        // Get base filter clause (from sidebar)
-        const baseWhere = getWhereClause();
-        const wherePrefix = baseWhere ? `${baseWhere} AND` : 'WHERE';
-        
-        // Query for segment A
-        const queryA = `
-            SELECT ${column} as label, COUNT(*) as count
-            FROM survey
-            ${wherePrefix} ${dim} = '${escapedA}' AND ${column} IS NOT NULL
-            GROUP BY ${column}
-            ORDER BY count DESC
-            LIMIT ${limit}
-        `;
-        
-        // Query for segment B
-        const queryB = `
-            SELECT ${column} as label, COUNT(*) as count
-            FROM survey
-            ${wherePrefix} ${dim} = '${escapedB}' AND ${column} IS NOT NULL
-            GROUP BY ${column}
-            ORDER BY count DESC
-            LIMIT ${limit}
-        `;
-        
-        // Total counts for percentages
-        const totalAQuery = `SELECT COUNT(*) as c FROM survey ${wherePrefix} ${dim} = '${escapedA}'`;
-        const totalBQuery = `SELECT COUNT(*) as c FROM survey ${wherePrefix} ${dim} = '${escapedB}'`;
-        
-        const [resultA, resultB, totalAResult, totalBResult] = await Promise.all([
-            conn.query(queryA),
-            conn.query(queryB),
-            conn.query(totalAQuery),
-            conn.query(totalBQuery)
-        ]);
-        
-        const rowsA = resultA.toArray();
-        const rowsB = resultB.toArray();
-        const totalA = Number(totalAResult.toArray()[0].c);
-        const totalB = Number(totalBResult.toArray()[0].c);
-        
-        // Merge labels from both
-        const allLabels = new Set();
-        const mapA = new Map();
-        const mapB = new Map();
-        
-        rowsA.forEach(r => { allLabels.add(r.label); mapA.set(r.label, Number(r.count)); });
-        rowsB.forEach(r => { allLabels.add(r.label); mapB.set(r.label, Number(r.count)); });
+        // No LIMIT per series: a label outside one segment's top values still
+        // needs its true count there
+        const results = await Promise.all(series.map(s => {
+            const source = columnSource(column, 'item', s.table);
+            return execute(conn, sql`
+                SELECT ${source.expr} as label, COUNT(*) as count
+                FROM ${source.from}
+                ${whereSql([...s.conditions, sql`${columnRef(column, s.table)} IS NOT NULL`])}
+                GROUP BY ${source.expr}
+            `);
+        }));
+        if (!isCurrent()) return;
+        
+        // counts: label -> Map(series -> count)
+        const counts = new Map();
+        results.forEach((result, i) => {
+            for (const row of result.toArray()) {
+                if (!counts.has(row.label)) counts.set(row.label, new Map(series.map(s => [s, 0])));
+                counts.get(row.label).set(series[i], Number(row.count));
+            }
+        });
         
-        // Sort by combined count
-        const labels = Array.from(allLabels).sort((a, b) => {
-            return ((mapA.get(b) || 0) + (mapB.get(b) || 0)) - ((mapA.get(a) || 0) + (mapB.get(a) || 0));
-        }).slice(0, limit);
+        // Order by share in the reference series (ordinal questions by scale)
+        const reference = series.find(s => s.reference);
+        const share = (s, label) => s.total > 0 ? counts.get(label).get(s) / s.total : 0;
+        const labels = sortByCodebook(column, Array.from(counts.keys())
+            .sort((a, b) => share(reference, b) - share(reference, a))
+            .slice(0, limit));
         
         if (labels.length === 0) {
             container.innerHTML = `<div class="empty-state"><p>No data for this comparison</p></div>`;
             return;
         }
         
-        const maxCount = Math.max(
-            ...labels.map(l => Math.max(mapA.get(l) || 0, mapB.get(l) || 0))
-        );
+        // Segments differ in size, so bars are scaled by share, not count
+        const maxShare = Math.max(...labels.flatMap(label => series.map(s => share(s, label))));
+        const tests = labels.length * (series.length - 1);
+        const critical = criticalZ(tests);
         
         let html = '<div class="chart-bar-container">';
         
         labels.forEach(label => {
-            const countA = mapA.get(label) || 0;
-            const countB = mapB.get(label) || 0;
-            const widthA = maxCount > 0 ? (countA / maxCount) * 100 : 0;
-            const widthB = maxCount > 0 ? (countB / maxCount) * 100 : 0;
+            const labelCounts = counts.get(label);
+            let tracks = '';
+            let values = '';
             
-            let valADisp, valBDisp;
-            if (chartMetric === 'percent') {
-                valADisp = totalA > 0 ? `${((countA / totalA) * 100).toFixed(1)}%` : '0%';
-                valBDisp = totalB > 0 ? `${((countB / totalB) * 100).toFixed(1)}%` : '0%';
-            } else {
-                valADisp = countA.toLocaleString();
-                valBDisp = countB.toLocaleString();
-            }
+            series.forEach(s => {
+                const count = labelCounts.get(s);
+                const width = maxShare > 0 ? (share(s, label) / maxShare) * 100 : 0;
+                const lowBase = isLowBase(s.total) ? ' low-base' : '';
+                
+                tracks += `
+                    <div class="compare-bar-track${lowBase}" data-segment="${escapeHtml(s.name)}" ${baseAttrs(count, s.total)}>
+                        <div class="compare-bar-fill" data-target-width="${width}" style="width: 0%; background: ${s.color};"></div>
+                        ${ciWhiskerHtml(count, s.total, maxShare * s.total)}
+                    </div>`;
+                
+                const display = chartMetric === 'percent'
+                    ? `${(share(s, label) * 100).toFixed(1)}%`
+                    : count.toLocaleString();
+                let diffHtml = '';
+                if (!s.reference) {
+                    const { diff, z, pValue } = compareToReference(s, reference, labelCounts);
+                    const significant = Math.abs(z) > critical;
+                    const pp = `${diff >= 0 ? '+' : ''}${(diff * 100).toFixed(1)}pp`;
+                    diffHtml = ` <span class="compare-diff${significant ? ' significant' : ''}" title="vs ${escapeHtml(reference.name)}: ${formatPValue(pValue)}">${pp}${significant ? '*' : ''}</span>`;
+                }
+                values += `<span class="compare-value" style="color: ${s.color};">${display}${diffHtml}</span>`;
+            });
             
             html += `
-                <div class="chart-bar-row">
-                    <span class="chart-bar-label">${escapeHtml(truncateText(label, 28))}</span>
-                    <div class="compare-bar-group">
-                        <div class="compare-bar-track">
-                            <div class="compare-bar-fill-a" data-target-width="${widthA}" style="width: 0%;"></div>
-                        </div>
-                        <div class="compare-bar-track">
-                            <div class="compare-bar-fill-b" data-target-width="${widthB}" style="width: 0%;"></div>
-                        </div>
-                    </div>
-                    <div class="compare-values">
-                        <span class="compare-val-a">${valADisp}</span>
-                        <span class="compare-val-b">${valBDisp}</span>
+                <div class="chart-bar-row compare-row">
+                    <span class="chart-bar-label" title="${escapeHtml(label)}">${escapeHtml(truncateText(label, 28))}</span>
+                    <div class="compare-bar-group">${tracks}
                     </div>
+                    <div class="compare-values">${values}</div>
                 </div>
             `;
         });
         
+        html += `<div class="compare-legend">pp = percentage points vs ${escapeHtml(reference.name)}; * significant at p &lt; ${SIGNIFICANCE_LEVEL} after correcting for ${tests} comparisons</div>`;
+        html += lowBaseNoteHtml(series.map(s => ({ name: s.name, base: s.total })));
         html += '</div>';
         container.innerHTML = html;
         
         // Animate bars
         requestAnimationFrame(() => {
             requestAnimationFrame(() => {
-                container.querySelectorAll('.compare-bar-fill-a, .compare-bar-fill-b').forEach(fill => {
+                container.querySelectorAll('.compare-bar-fill').forEach(fill => {
                     fill.style.width = fill.dataset.targetWidth + '%';
                 });
             });
         });
         
     } catch (error) {
+        if (!isCurrent()) return;
         console.error(`Comparison chart error ${chartId}:`, error);
-        container.innerHTML = `<p class="error-text">Error: ${error.message}</p>`;
+        container.innerHTML = `<p class="error-text">Error: ${escapeHtml(error.message)}</p>`;
     }
 }
 
+// ===== Trends =====
+// Each chart across survey years (see datasets.js), oldest first. Differences
+// are against the latest year; years are separate samples, so they are tested
+// as independent proportions.
+function initializeTrendMode() {
+    const toggleBtn = document.getElementById('trend-toggle');
+    if (!toggleBtn) return;
+    
+    const years = surveyYears();
+    toggleBtn.title = years.length > 1
+        ? `Compare the ${years[0]}–${CURRENT_YEAR} surveys`
+        : `Trends appear once a survey other than ${CURRENT_YEAR} is added`;
+    
+    toggleBtn.addEventListener('click', () => {
+        const enable = !trendMode;
+        if (enable && compareMode) {
+            document.getElementById('compare-toggle').click();
+        }
+        setTrendMode(enable);
+        if (enable && years.length < 2) {
+            showToast(`Only the ${CURRENT_YEAR} survey is loaded so far`, 'default', 4000);
+        }
+        updateCharts();
+    });
+}
+
+function setTrendMode(enabled) {
+    trendMode = enabled;
+    const toggleBtn = document.getElementById('trend-toggle');
+    if (toggleBtn) toggleBtn.classList.toggle('active', enabled);
+}
+
+async function getTrendSeries() {
+    const conditions = filterStateConditions(getCurrentFilterState(), TREND_TABLE);
+    return withSeriesTotals(surveyYears().map((year, i, years) => ({
+        name: String(year),
+        year,
+        color: CHART_COLORS[(years.length - 1 - i) % CHART_COLORS.length],
+        table: TREND_TABLE,
+        conditions: [...conditions, sql`${columnRef('survey_year', TREND_TABLE)} = ${year}`],
+        reference: year === CURRENT_YEAR
+    })));
+}
+
+// ===== Offline Support =====
+// sw.js caches the app shell, data and bundles, so after one visit the
+// explorer also works without a network
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
 // ===== Utility Functions =====
-function escapeHtml(str) {
-    if (str === null || str === undefined) return '';
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-}
-
-function truncateText(text, maxLength) {
-    if (!text || text.length <= maxLength) return text;
-    return text.substring(0, maxLength - 1) + '…';
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    if (str.includes(',') || str.includes('\n') || str.includes('"')) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
 }
 
 // ===== Start Application =====
@@ -0,0 +1,45 @@
+// ===== Third-party Assets =====
+// DuckDB-WASM and CodeMirror load from vendor/ on this origin when the files
+// are there (air-gapped or offline deployments, see README), otherwise from
+// their CDNs. Either way the service worker (sw.js) caches what was used.
+
+const DUCKDB_VERSION = '1.28.0';
+const CODEMIRROR_VERSION = '5.65.16';
+
+const VENDOR_URL = new URL('../vendor/', import.meta.url);
+const DUCKDB_CDN = `https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@${DUCKDB_VERSION}`;
+const CODEMIRROR_CDN = `https://cdnjs.cloudflare.com/ajax/libs/codemirror/${CODEMIRROR_VERSION}`;
+
+// Base URLs to try in order; each holds codemirror.min.js, codemirror.min.css,
+// theme/dracula.min.css and mode/sql/sql.min.js
+export const CODEMIRROR_SOURCES = [
+    new URL('codemirror', VENDOR_URL).href,
+    CODEMIRROR_CDN
+];
+
+// The DuckDB module and the bundles to pick from with selectBundle. Bundle URLs
+// are absolute because workers load them from a blob: URL.
+export async function loadDuckDB() {
+    const base = new URL('duckdb/', VENDOR_URL).href;
+    try {
+        const duckdb = await import(`${base}duckdb-browser.mjs`);
+        console.log('Using DuckDB-WASM from vendor/');
+        return {
+            duckdb,
+            bundles: {
+                mvp: {
+                    mainModule: `${base}duckdb-mvp.wasm`,
+                    mainWorker: `${base}duckdb-browser-mvp.worker.js`
+                },
+                eh: {
+                    mainModule: `${base}duckdb-eh.wasm`,
+                    mainWorker: `${base}duckdb-browser-eh.worker.js`
+                }
+            }
+        };
+    } catch (error) {
+        // No vendored copy: use jsDelivr
+        const duckdb = await import(`${DUCKDB_CDN}/+esm`);
+        return { duckdb, bundles: duckdb.getJsDelivrBundles() };
+    }
+}
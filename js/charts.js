@@ -0,0 +1,57 @@
+// ===== Chart Helpers =====
+// Formatting and math shared by the app, the embed widgets (widgets.js) and
+// <survey-chart>, so a chart reads the same wherever it is shown.
+
+import { twoProportionTest } from './stats.js';
+
+export const CHART_COLORS = [
+    '#58a6ff', '#3fb950', '#d29922', '#f85149',
+    '#a371f7', '#db61a2', '#79c0ff', '#7ee787'
+];
+
+export const CROSSTAB_METRICS = ['row_pct', 'col_pct', 'count'];
+export const CROSSTAB_METRIC_LABELS = { row_pct: 'Row %', col_pct: 'Column %', count: 'Count' };
+
+export function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+export function truncateText(text, maxLength) {
+    if (!text || text.length <= maxLength) return text;
+    return text.substring(0, maxLength - 1) + '…';
+}
+
+// A crosstab cell as shown: row %, column % or the count itself
+export function crosstabValue(count, rowTotal, colTotal, metric) {
+    if (metric === 'row_pct') return rowTotal > 0 ? (count / rowTotal) * 100 : 0;
+    if (metric === 'col_pct') return colTotal > 0 ? (count / colTotal) * 100 : 0;
+    return count;
+}
+
+export function getHeatmapColor(intensity) {
+    if (intensity === 0) return 'transparent';
+    
+    // Blue heatmap: from light to dark blue
+    const minAlpha = 0.15;
+    const maxAlpha = 0.85;
+    const alpha = minAlpha + (intensity * (maxAlpha - minAlpha));
+    
+    return `rgba(88, 166, 255, ${alpha})`;
+}
+
+// Share x1 / n1 against the reference x0 / n0: the difference and its z-test.
+// A subset of the reference (e.g. a segment of all respondents) is tested
+// against the rest of it; otherwise the two are independent samples.
+export function compareProportions(x1, n1, x0, n0, subset) {
+    const diff = (n1 > 0 ? x1 / n1 : 0) - (n0 > 0 ? x0 / n0 : 0);
+    const test = subset
+        ? twoProportionTest(x1, n1, x0 - x1, n0 - n1)
+        : twoProportionTest(x1, n1, x0, n0);
+    return { diff, ...test };
+}
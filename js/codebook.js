@@ -0,0 +1,243 @@
+// ===== Survey Codebook =====
+// One entry per survey column: short label, chart title, question text, type
+// and the answer options in questionnaire order. Ordinal questions are shown
+// in that order everywhere; other types keep their count order.
+//
+// Types: 'nominal' (single choice, may include write-ins), 'ordinal' (single
+// choice on a scale), 'multi-select' (checkboxes, see multiselect.js) and
+// 'free-text'.
+
+import { MULTI_SELECT_OPTIONS } from './multiselect.js';
+
+export const QUESTION_TYPES = ['nominal', 'ordinal', 'multi-select', 'free-text'];
+
+export const CODEBOOK = {
+    role: {
+        label: 'Role',
+        title: 'By Role',
+        question: 'What is your current role?',
+        type: 'nominal',
+        options: [
+            'Data Engineer',
+            'Analytics Engineer',
+            'Data Architect',
+            'Manager / Director / VP',
+            'Software Engineer working on data',
+            'Platform Engineer',
+            'ML Engineer / MLOps',
+            'AI Engineer'
+        ]
+    },
+    org_size: {
+        label: 'Org Size',
+        title: 'By Organization Size',
+        question: 'How many employees work at your organization?',
+        type: 'ordinal',
+        options: ['< 50 employees', '50–199', '200–999', '1,000–10,000', '10,000+']
+    },
+    industry: {
+        label: 'Industry',
+        title: 'By Industry',
+        question: 'Which industry is your organization in?',
+        type: 'nominal',
+        options: [
+            'Tech',
+            'Finance',
+            'Healthcare',
+            'Retail/e-commerce',
+            'Manufacturing / Industrial',
+            'Public sector / Education'
+        ]
+    },
+    region: {
+        label: 'Region',
+        title: 'By Region',
+        question: 'Where are you based?',
+        type: 'nominal',
+        options: [
+            'United States / Canada',
+            'Europe (EU / UK)',
+            'Asia–Pacific',
+            'Latin America',
+            'Australia / New Zealand',
+            'Middle East / Africa',
+            'Prefer not to say'
+        ]
+    },
+    team_focus: {
+        label: 'Team Focus',
+        title: 'Where Teams Spend Their Time',
+        question: 'Where does your team spend most of its time?',
+        type: 'multi-select',
+        options: MULTI_SELECT_OPTIONS.team_focus
+    },
+    storage_environment: {
+        label: 'Storage',
+        title: 'Storage Environment',
+        question: 'What is your primary storage and processing environment?',
+        type: 'nominal',
+        options: [
+            'Cloud data warehouse (Snowflake, BigQuery, Redshift, etc.)',
+            'Lakehouse (Databricks, Iceberg/Hudi/Delta + compute engine)',
+            'On-prem data warehouse',
+            'Cloud PostgreSQL/MySQL',
+            'Mixed/hybrid'
+        ]
+    },
+    orchestration: {
+        label: 'Orchestration',
+        title: 'Orchestration',
+        question: 'What do you use for orchestration?',
+        type: 'nominal',
+        options: [
+            'Airflow',
+            'Dagster',
+            'Prefect',
+            'Cloud-native (GCP Cloud Composer, AWS MWAA, etc.)',
+            'No orchestration / ad-hoc'
+        ]
+    },
+    ai_usage_frequency: {
+        label: 'AI Usage',
+        title: 'AI Usage Frequency',
+        question: 'How often do you use AI tools in your work?',
+        type: 'ordinal',
+        options: ['Never', 'Rarely', 'Weekly', 'Daily', 'Multiple times per day']
+    },
+    ai_helps_with: {
+        label: 'AI Helps With',
+        title: 'How AI Helps Most',
+        question: 'Where does AI help you most?',
+        type: 'multi-select',
+        options: MULTI_SELECT_OPTIONS.ai_helps_with
+    },
+    ai_adoption: {
+        label: 'AI Adoption',
+        title: 'Organizational AI Adoption',
+        question: 'How far has your organization adopted AI?',
+        type: 'ordinal',
+        options: [
+            'No meaningful adoption yet',
+            'Experimenting',
+            'Using AI for tactical tasks',
+            'Building internal AI platforms',
+            'AI embedded in most workflows'
+        ]
+    },
+    modeling_approach: {
+        label: 'Modeling',
+        title: 'Data Modeling Approach',
+        question: 'Which data modeling approach does your team mostly use?',
+        type: 'nominal',
+        options: [
+            'Kimball-style dimensional modeling',
+            'Data Vault',
+            'One Big Table',
+            'Canonical/semantic models',
+            'Event-driven modeling',
+            'Ad-hoc / tables added as needed',
+            'Mixed (depends on use case)'
+        ]
+    },
+    modeling_pain_points: {
+        label: 'Pain Points',
+        title: 'Data Modeling Pain Points',
+        question: 'What are your biggest data modeling pain points?',
+        type: 'multi-select',
+        options: MULTI_SELECT_OPTIONS.modeling_pain_points
+    },
+    architecture_trend: {
+        label: 'Architecture',
+        title: 'Architecture Trend',
+        question: 'Which architecture is your organization moving toward?',
+        type: 'nominal',
+        options: [
+            'Centralized warehouse',
+            'Lakehouse',
+            'Data mesh / federated ownership',
+            'Event-driven architecture'
+        ]
+    },
+    biggest_bottleneck: {
+        label: 'Bottleneck',
+        title: 'Biggest Bottleneck',
+        question: "What is your team's biggest bottleneck?",
+        type: 'nominal',
+        options: [
+            'Legacy / technical debt',
+            'Lack of leadership direction',
+            'Poor requirements / upstream issues',
+            'Talent / hiring',
+            'Data quality',
+            'Compute costs',
+            'Tool complexity'
+        ]
+    },
+    team_growth_2026: {
+        label: 'Team Growth',
+        title: 'Team Growth Expectations',
+        question: 'How do you expect your team to change in 2026?',
+        type: 'ordinal',
+        // "Not sure" is off the scale and sorts last
+        options: ['Shrink', 'Stay the same', 'Grow', 'Not sure']
+    },
+    education_topic: {
+        label: 'Education Topic',
+        title: 'Desired Training Topics',
+        question: 'Which topic would you most like to learn more about?',
+        type: 'nominal',
+        options: [
+            'AI/LLM integration',
+            'Data modeling',
+            'Semantics / ontologies / knowledge graphs',
+            'Architecture patterns',
+            'Streaming / event-driven systems',
+            'Career growth / leadership',
+            'Reliability engineering'
+        ]
+    },
+    industry_wish: {
+        label: 'Industry Wish',
+        title: 'Industry Wish',
+        question: 'What do you wish others understood about data engineering?',
+        type: 'free-text',
+        options: []
+    }
+};
+
+export function getQuestion(column) {
+    return CODEBOOK[column] || null;
+}
+
+export function columnLabel(column) {
+    return CODEBOOK[column] ? CODEBOOK[column].label : column;
+}
+
+export function chartTitle(column) {
+    return CODEBOOK[column] ? CODEBOOK[column].title : column.replace(/_/g, ' ');
+}
+
+// { column: label } for every column in the codebook
+export function columnLabels() {
+    return Object.fromEntries(Object.entries(CODEBOOK).map(([column, q]) => [column, q.label]));
+}
+
+export function isOrdinal(column) {
+    return Boolean(CODEBOOK[column] && CODEBOOK[column].type === 'ordinal');
+}
+
+// Position of `value` among the column's options; unlisted answers go last
+export function optionRank(column, value) {
+    const index = CODEBOOK[column] ? CODEBOOK[column].options.indexOf(value) : -1;
+    return index === -1 ? Infinity : index;
+}
+
+// Ordinal columns in scale order; other columns keep the given order
+export function sortByCodebook(column, items, getValue = item => item) {
+    if (!isOrdinal(column)) return items;
+    return [...items].sort((a, b) => {
+        const ra = optionRank(column, getValue(a));
+        const rb = optionRank(column, getValue(b));
+        return ra === rb ? 0 : (ra < rb ? -1 : 1);
+    });
+}
@@ -0,0 +1,8 @@
+// ===== Deployment Settings =====
+// Edit these when hosting the explorer yourself.
+
+// Public URL of the explorer: the folder with index.html and embed.html, e.g.
+// 'https://data.example.com/survey/'. Embeds link their "Explore full data"
+// button there, and the app builds embed code with it. null uses wherever the
+// page itself is served from.
+export const EXPLORER_URL = null;
@@ -0,0 +1,80 @@
+// ===== Your Own Data =====
+// A CSV or Parquet file with the public survey's columns, loaded next to it as
+// the table `survey_custom` (plus its own multi-select bridge tables), so the
+// same queries can run against either dataset.
+
+import { createBridgeTablesSql } from './multiselect.js';
+import { sql, raw, join, table as tableName, loadSchema, execute } from './query.js';
+
+export const CUSTOM_TABLE = 'survey_custom';
+
+const READERS = {
+    csv: file => `read_csv('${file}', header = true, all_varchar = true)`,
+    parquet: file => `read_parquet('${file}')`
+};
+
+let registeredFile = null;
+
+function fileFormat(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    if (!READERS[extension]) {
+        throw new Error('Choose a .csv or .parquet file');
+    }
+    return extension;
+}
+
+// Compare a file's columns with the public schema (DESCRIBE rows).
+// response_id is generated, so the file doesn't need it.
+export function validateColumns(fileColumns, surveySchema) {
+    const expected = surveySchema.map(row => row.column_name).filter(name => name !== 'response_id');
+    return {
+        missing: expected.filter(name => !fileColumns.includes(name)),
+        ignored: fileColumns.filter(name => !expected.includes(name) && name !== 'response_id')
+    };
+}
+
+// Load `file` (a File) as survey_custom. Values are cast to the public
+// column types; ones that don't convert become NULL. Returns { rows, ignored }.
+export async function loadCustomSurvey(db, conn, file, surveySchema) {
+    const format = fileFormat(file.name);
+    const fileName = `${CUSTOM_TABLE}.${format}`;
+    const buffer = new Uint8Array(await file.arrayBuffer());
+
+    if (registeredFile) {
+        await db.dropFile(registeredFile);
+    }
+    await db.registerFileBuffer(fileName, buffer);
+    registeredFile = fileName;
+
+    const source = raw(READERS[format](fileName));
+    const described = await execute(conn, sql`DESCRIBE SELECT * FROM ${source}`);
+    const fileColumns = described.toArray().map(row => row.column_name);
+
+    const { missing, ignored } = validateColumns(fileColumns, surveySchema);
+    if (missing.length > 0) {
+        throw new Error(`Missing columns: ${missing.join(', ')}`);
+    }
+
+    // Column names come from the public schema; types from DESCRIBE
+    const columns = surveySchema
+        .filter(row => row.column_name !== 'response_id')
+        .map(row => sql`TRY_CAST(${tableName(row.column_name)} AS ${raw(row.column_type)}) AS ${tableName(row.column_name)}`);
+
+    await execute(conn, sql`
+        CREATE OR REPLACE TABLE ${tableName(CUSTOM_TABLE)} AS
+        SELECT CAST(row_number() OVER () AS INTEGER) AS response_id, ${join(columns)}
+        FROM ${source}
+    `);
+    await loadSchema(conn, CUSTOM_TABLE);
+
+    for (const query of createBridgeTablesSql(CUSTOM_TABLE)) {
+        await execute(conn, query);
+    }
+
+    const result = await execute(conn, sql`SELECT COUNT(*) as c FROM ${tableName(CUSTOM_TABLE)}`);
+    const rows = Number(result.toArray()[0].c);
+    if (rows === 0) {
+        throw new Error('The file has no rows');
+    }
+    return { rows, ignored };
+}
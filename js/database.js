@@ -0,0 +1,64 @@
+// ===== Survey Database =====
+// The one way pages start DuckDB-WASM and load the survey: pick a bundle,
+// start its worker, load the survey years (datasets.js), then read the schema
+// and create the multi-select bridge tables. Used by the app, embed.html and
+// <survey-chart>; a new page only needs
+//
+//     const { db, conn, schema } = await openSurveyDatabase({ onProgress: showStatus });
+//
+// onProgress(message, percent) is called as each step starts. A failing step
+// rejects with an Error saying which step failed (the original is its cause).
+
+import { loadDuckDB } from './assets.js';
+import { loadSurveys } from './datasets.js';
+import { createBridgeTablesSql } from './multiselect.js';
+import { loadSchema, execute } from './query.js';
+
+async function runStep(onProgress, message, percent, failure, work) {
+    onProgress(message, percent);
+    try {
+        return await work();
+    } catch (error) {
+        throw new Error(`${failure}: ${error.message}`, { cause: error });
+    }
+}
+
+// Options: onProgress, logLevel (a duckdb.LogLevel name, default WARNING) and
+// allYears (false loads only the latest survey, without survey_all)
+export async function openSurveyDatabase({ onProgress = () => {}, logLevel = 'WARNING', allYears = true } = {}) {
+    const db = await runStep(onProgress, 'Initializing DuckDB engine...', 10, 'Could not start DuckDB', async () => {
+        // From vendor/ if present, else the jsDelivr bundles
+        const { duckdb, bundles } = await loadDuckDB();
+        const bundle = await duckdb.selectBundle(bundles);
+
+        // Workers load the bundle from a blob: URL
+        const workerUrl = URL.createObjectURL(
+            new Blob([`importScripts("${bundle.mainWorker}");`], { type: 'text/javascript' })
+        );
+        const worker = new Worker(workerUrl);
+        const logger = new duckdb.ConsoleLogger(duckdb.LogLevel[logLevel]);
+        const instance = new duckdb.AsyncDuckDB(logger, worker);
+        await instance.instantiate(bundle.mainModule, bundle.pthreadWorker);
+        URL.revokeObjectURL(workerUrl);
+        return instance;
+    });
+
+    const conn = await runStep(onProgress, 'Connecting to database...', 30, 'Could not connect to DuckDB',
+        () => db.connect());
+
+    const schema = await runStep(onProgress, 'Loading survey data...', 50, 'Could not load survey data', async () => {
+        // `survey` is the latest year, `survey_all` stacks them all
+        await loadSurveys(db, conn, { allYears });
+
+        // Column names every query is checked against
+        const columns = await loadSchema(conn);
+
+        // Long-format tables for multi-select questions (survey_team_focus, ...)
+        for (const query of createBridgeTablesSql()) {
+            await execute(conn, query);
+        }
+        return columns;
+    });
+
+    return { db, conn, schema };
+}
@@ -0,0 +1,106 @@
+// ===== Survey Years =====
+// One entry per survey edition. The latest year is the `survey` view every
+// tab works on; `survey_all` stacks all years with a `survey_year` column for
+// the trend view.
+//
+// Column names follow the latest survey. When a question was renamed, the
+// older year maps the current name to its own under `columns`; a question a
+// year didn't ask reads as NULL there. For example:
+//
+//     { year: 2027, file: 'data/survey-2027.parquet', columns: {} },
+//     { year: 2026, file: 'data/survey.parquet', columns: { team_growth_2027: 'team_growth_2026' } }
+
+import { createBridgeTablesSql } from './multiselect.js';
+import { sql, raw, join, table as tableName, loadSchema, execute } from './query.js';
+
+export const SURVEY_YEARS = [
+    { year: 2026, file: 'data/survey.parquet', columns: {} }
+];
+
+export const CURRENT_YEAR = Math.max(...SURVEY_YEARS.map(entry => entry.year));
+export const TREND_TABLE = 'survey_all';
+
+// Columns each year's file has, by their current names
+const askedColumns = new Map(); // year -> Set
+
+export function surveyYears() {
+    return SURVEY_YEARS.map(entry => entry.year).sort((a, b) => a - b);
+}
+
+export function yearHasColumn(year, column) {
+    const columns = askedColumns.get(year);
+    return !columns || columns.has(column);
+}
+
+// The latest year keeps the name survey.parquet, which SQL tab queries use
+function registeredName(year) {
+    return year === CURRENT_YEAR ? 'survey.parquet' : `survey_${year}.parquet`;
+}
+
+function readParquetSql(year) {
+    return raw(`read_parquet('${registeredName(year)}', file_row_number = true)`);
+}
+
+// Fetch and register every year, then create `survey` (the latest year) and
+// the stacked `survey_all` table with its own bridge tables. response_id is
+// the row's position in its file, so it stays stable across loads; in
+// survey_all it is renumbered across years and the original kept as
+// year_response_id. Both are INTEGER (not BIGINT) so rows read in JS hold
+// plain numbers. With allYears false only `survey` is created.
+export async function loadSurveys(db, conn, { allYears = true } = {}) {
+    const entries = allYears ? SURVEY_YEARS : SURVEY_YEARS.filter(entry => entry.year === CURRENT_YEAR);
+    for (const entry of entries) {
+        // Files are relative to the explorer, also for pages on other sites
+        const response = await fetch(new URL(`../${entry.file}`, import.meta.url));
+        if (!response.ok) {
+            throw new Error(`Could not load ${entry.file} (${response.status})`);
+        }
+        const buffer = await response.arrayBuffer();
+        await db.registerFileBuffer(registeredName(entry.year), new Uint8Array(buffer));
+    }
+
+    await execute(conn, sql`
+        CREATE VIEW survey AS
+        SELECT CAST(file_row_number + 1 AS INTEGER) AS response_id, * EXCLUDE (file_row_number)
+        FROM ${readParquetSql(CURRENT_YEAR)}
+    `);
+    if (!allYears) return;
+
+    // Current names and types, from the latest year
+    const described = await execute(conn, sql`DESCRIBE SELECT * FROM survey`);
+    const canonical = described.toArray()
+        .map(row => ({ name: row.column_name, type: row.column_type }))
+        .filter(col => col.name !== 'response_id');
+
+    const branches = [];
+    for (const entry of SURVEY_YEARS) {
+        const fileResult = await execute(conn, sql`DESCRIBE SELECT * FROM ${readParquetSql(entry.year)}`);
+        const fileColumns = new Set(fileResult.toArray().map(row => row.column_name));
+        const asked = new Set();
+
+        const columns = canonical.map(col => {
+            const source = entry.columns[col.name] || col.name;
+            if (!fileColumns.has(source)) {
+                return sql`CAST(NULL AS ${raw(col.type)}) AS ${tableName(col.name)}`;
+            }
+            asked.add(col.name);
+            return sql`TRY_CAST(${tableName(source)} AS ${raw(col.type)}) AS ${tableName(col.name)}`;
+        });
+        askedColumns.set(entry.year, asked);
+
+        branches.push(sql`
+            SELECT ${raw(String(entry.year))} AS survey_year, CAST(file_row_number + 1 AS INTEGER) AS year_response_id, ${join(columns)}
+            FROM ${readParquetSql(entry.year)}`);
+    }
+
+    await execute(conn, sql`
+        CREATE TABLE ${tableName(TREND_TABLE)} AS
+        SELECT CAST(row_number() OVER (ORDER BY survey_year, year_response_id) AS INTEGER) AS response_id, *
+        FROM (${join(branches, ' UNION ALL ')})
+    `);
+    await loadSchema(conn, TREND_TABLE);
+
+    for (const query of createBridgeTablesSql(TREND_TABLE)) {
+        await execute(conn, query);
+    }
+}
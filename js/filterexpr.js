@@ -0,0 +1,90 @@
+// ===== Advanced Filter Expressions =====
+// A filter expression is a tree of AND/OR groups over value conditions:
+//   { type: 'group', op: 'and' | 'or', negate: false, children: [...] }
+//   { type: 'condition', column, mode: 'include' | 'exclude', values: [...] }
+// It compiles to one SQL boolean that is ANDed with the other filters.
+
+import { matchValuesSql } from './multiselect.js';
+import { sql, raw, join, EMPTY } from './query.js';
+
+export function createGroup(op = 'and') {
+    return { type: 'group', op, negate: false, children: [] };
+}
+
+export function createCondition(column) {
+    return { type: 'condition', column, mode: 'include', values: [] };
+}
+
+// Copy of `node` without incomplete conditions, empty groups or columns
+// outside `columns` (when given). Returns null if nothing is left.
+export function normalizeExpression(node, columns = null) {
+    if (!node || typeof node !== 'object') return null;
+
+    if (node.type === 'condition') {
+        const values = Array.isArray(node.values)
+            ? node.values.filter(v => typeof v === 'string')
+            : [];
+        if (typeof node.column !== 'string' || values.length === 0) return null;
+        if (columns && !columns.includes(node.column)) return null;
+        return {
+            type: 'condition',
+            column: node.column,
+            mode: node.mode === 'exclude' ? 'exclude' : 'include',
+            values
+        };
+    }
+
+    if (node.type === 'group') {
+        const children = (Array.isArray(node.children) ? node.children : [])
+            .map(child => normalizeExpression(child, columns))
+            .filter(Boolean);
+        if (children.length === 0) return null;
+        return {
+            type: 'group',
+            op: node.op === 'or' ? 'or' : 'and',
+            negate: Boolean(node.negate),
+            children
+        };
+    }
+
+    return null;
+}
+
+// SQL condition for a normalized expression, indented one level per group
+export function compileExpression(node, table = 'survey', depth = 0) {
+    if (!node) return EMPTY;
+
+    if (node.type === 'condition') {
+        return matchValuesSql(node.column, node.values, node.mode, table);
+    }
+
+    const indent = '    '.repeat(depth + 1);
+    const joiner = `\n${indent}${node.op === 'or' ? 'OR' : 'AND'} `;
+    const parts = node.children.map(child => compileExpression(child, table, depth + 1));
+    const body = parts.length === 1 && !node.negate
+        ? parts[0]
+        : sql`(\n${raw(indent)}${join(parts, joiner)}\n${raw('    '.repeat(depth))})`;
+
+    return node.negate ? sql`NOT ${body}` : body;
+}
+
+// Short human-readable form, e.g. "(role: A / B) AND NOT (org_size: C)"
+export function describeExpression(node, labels = {}) {
+    if (!node) return '';
+
+    if (node.type === 'condition') {
+        const label = labels[node.column] || node.column;
+        const op = node.mode === 'exclude' ? ' not ' : ': ';
+        return `${label}${op}${node.values.join(' / ')}`;
+    }
+
+    const joiner = node.op === 'or' ? ' OR ' : ' AND ';
+    const body = node.children
+        .map(child => {
+            const text = describeExpression(child, labels);
+            return child.type === 'group' && !child.negate ? `(${text})` : text;
+        })
+        .join(joiner);
+
+    return node.negate ? `NOT (${body})` : body;
+}
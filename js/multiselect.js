@@ -0,0 +1,110 @@
+// ===== Multi-select Answers =====
+// Checkbox questions are stored as one string of the chosen options joined
+// with ', '. Some options contain commas themselves ("Writing Code (SQL,
+// Python, etc)"), so answers are tokenized against the known option list
+// instead of being split on commas.
+
+import { sql, raw, list, column, table as tableName } from './query.js';
+
+export const MULTI_SELECT_OPTIONS = {
+    team_focus: [
+        'Ingestion / pipelines',
+        'Data modeling / transformation',
+        'Data quality / reliability',
+        'Analytics / BI',
+        'Infrastructure / platform work',
+        'ML / AI',
+        'Fighting fires'
+    ],
+    ai_helps_with: [
+        'Writing Code (SQL, Python, etc)',
+        'Pipeline debugging',
+        'Documentation / data discovery',
+        'Data modeling',
+        'Architecture design',
+        'Governance / quality checks',
+        "I don't find AI helpful"
+    ],
+    modeling_pain_points: [
+        'Lack of clear ownership',
+        'Hard to maintain over time',
+        'Tools don’t support good modeling',
+        'Pressure to “move fast”',
+        'AI tools produce inconsistent schemas',
+        'None / modeling is going well'
+    ]
+};
+
+export const MULTI_SELECT_COLUMNS = Object.keys(MULTI_SELECT_OPTIONS);
+
+const OPTION_SEPARATOR = ', ';
+
+export function isMultiSelect(col) {
+    return MULTI_SELECT_COLUMNS.includes(col);
+}
+
+// Option lists are constants of this module, so they are inlined as literals
+function optionLiteral(option) {
+    return `'${option.replace(/'/g, "''")}'`;
+}
+
+// ===== Bridge Tables =====
+// Each multi-select column gets a long-format table <table>_<column> with one
+// (response_id, option) row per chosen option, created once at load.
+
+export function bridgeTable(col, table = 'survey') {
+    return `${table}_${col}`;
+}
+
+export function createBridgeTablesSql(table = 'survey') {
+    const sep = optionLiteral(OPTION_SEPARATOR);
+    return MULTI_SELECT_COLUMNS.map(col => {
+        const options = MULTI_SELECT_OPTIONS[col].map(optionLiteral).join(', ');
+        return sql`
+            CREATE OR REPLACE TABLE ${tableName(bridgeTable(col, table))} AS
+            SELECT ${tableName(table)}.response_id, opt.option
+            FROM ${tableName(table)}
+            JOIN (SELECT unnest([${raw(options)}]) AS option) AS opt
+                ON contains(${raw(sep)} || ${tableName(table)}.${column(col, table)} || ${raw(sep)}, ${raw(sep)} || opt.option || ${raw(sep)})
+            ORDER BY ${tableName(table)}.response_id
+        `;
+    });
+}
+
+// SQL join that expands `table` to one row per selected option of `col`,
+// exposed as `${alias}.option`
+export function joinOptionsSql(col, alias = 'item', table = 'survey') {
+    column(col, table);
+    return sql`JOIN ${tableName(bridgeTable(col, table))} AS ${tableName(alias)} ON ${tableName(alias)}.response_id = ${tableName(table)}.response_id`;
+}
+
+// FROM clause and label expression for grouping by `col`. Multi-select
+// columns yield one row per option, so counts are per respondent mentioning it.
+export function columnSource(col, alias = 'item', table = 'survey') {
+    if (isMultiSelect(col)) {
+        return {
+            from: sql`${tableName(table)} ${joinOptionsSql(col, alias, table)}`,
+            expr: sql`${tableName(alias)}.option`
+        };
+    }
+    return { from: tableName(table), expr: column(col, table) };
+}
+
+// WHERE condition matching any of `values` in `col`, or none of them when
+// mode is 'exclude' (rows with no answer count as not matching)
+export function matchValuesSql(col, values, mode = 'include', table = 'survey') {
+    const ref = column(col, table);
+    if (isMultiSelect(col)) {
+        const negate = raw(mode === 'exclude' ? 'NOT ' : '');
+        return sql`${tableName(table)}.response_id ${negate}IN (SELECT response_id FROM ${tableName(bridgeTable(col, table))} WHERE option IN (${list(values)}))`;
+    }
+    if (mode === 'exclude') {
+        return sql`(${ref} NOT IN (${list(values)}) OR ${ref} IS NULL)`;
+    }
+    return sql`${ref} IN (${list(values)})`;
+}
+
+// WHERE condition matching `value` in `col`
+export function matchValueSql(col, value, table = 'survey') {
+    return matchValuesSql(col, [value], 'include', table);
+}
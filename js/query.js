@@ -0,0 +1,138 @@
+// ===== Query Builder =====
+// Queries are built from fragments ({ text, params }) whose values travel as
+// prepared-statement parameters, never as SQL text. Identifiers are checked
+// against the schema registered for each table at load time.
+//
+//   const where = whereSql([sql`role = ${'Data Engineer'}`]);
+//   await execute(conn, sql`SELECT COUNT(*) as c FROM survey ${where}`);
+
+const FRAGMENT = Symbol('sqlFragment');
+const SIMPLE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Known columns per table: { table: Set(columns) }
+const schemas = {};
+
+function fragment(text, params = []) {
+    return { [FRAGMENT]: true, text, params };
+}
+
+export function isFragment(value) {
+    return Boolean(value && value[FRAGMENT]);
+}
+
+// Trusted SQL text (keywords, operators); never pass user input here
+export function raw(text) {
+    return fragment(String(text));
+}
+
+export const EMPTY = raw('');
+
+// Tagged template: interpolated fragments are inlined, anything else becomes a
+// `?` parameter
+export function sql(strings, ...values) {
+    let text = strings[0];
+    const params = [];
+    values.forEach((value, i) => {
+        if (isFragment(value)) {
+            text += value.text;
+            params.push(...value.params);
+        } else {
+            text += '?';
+            params.push(value);
+        }
+        text += strings[i + 1];
+    });
+    return fragment(text, params);
+}
+
+export function join(fragments, separator = ', ') {
+    const parts = fragments.filter(f => f && f.text);
+    return fragment(
+        parts.map(f => f.text).join(separator),
+        parts.flatMap(f => f.params)
+    );
+}
+
+// `?, ?, ?` for a list of values
+export function list(values) {
+    return join(values.map(value => sql`${value}`));
+}
+
+// Validated non-negative integer, inlined (LIMIT / OFFSET)
+export function int(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+        throw new Error(`Invalid integer in query: ${value}`);
+    }
+    return raw(String(n));
+}
+
+export function whereSql(conditions) {
+    const parts = conditions.filter(c => c && c.text);
+    return parts.length > 0 ? sql`WHERE ${join(parts, ' AND ')}` : EMPTY;
+}
+
+// ===== Schema =====
+export function registerSchema(table, columns) {
+    schemas[table] = new Set(columns);
+}
+
+export async function loadSchema(conn, table = 'survey') {
+    const result = await conn.query(`DESCRIBE ${identifier(table)}`);
+    const rows = result.toArray();
+    registerSchema(table, rows.map(row => row.column_name));
+    return rows;
+}
+
+export function hasColumn(name, table = 'survey') {
+    return Boolean(schemas[table] && schemas[table].has(name));
+}
+
+function identifier(name) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error(`Invalid identifier: ${name}`);
+    }
+    return SIMPLE_IDENTIFIER.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+// Column reference, rejected unless it exists in the table's schema
+export function column(name, table = 'survey') {
+    if (!hasColumn(name, table)) {
+        throw new Error(`Unknown column "${name}" in ${table}`);
+    }
+    return raw(identifier(name));
+}
+
+export function table(name) {
+    return raw(identifier(name));
+}
+
+// ===== Execution =====
+// Parameterless queries go straight through; others use a prepared statement
+export async function execute(conn, query) {
+    if (query.params.length === 0) {
+        return conn.query(query.text);
+    }
+    const statement = await conn.prepare(query.text);
+    try {
+        return await statement.query(...query.params);
+    } finally {
+        await statement.close();
+    }
+}
+
+// String literals, quoted identifiers and comments, whose `?` are not
+// parameters, or a parameter placeholder
+const PLACEHOLDER_OR_QUOTED = /'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\?/g;
+
+// SQL text with parameters inlined as literals, for display only
+export function toDisplaySql(query) {
+    let i = 0;
+    return query.text.replace(PLACEHOLDER_OR_QUOTED, match => {
+        if (match !== '?') return match;
+        const value = query.params[i++];
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        return `'${String(value).replace(/'/g, "''")}'`;
+    });
+}
@@ -0,0 +1,363 @@
+// ===== Live Report =====
+// The Report tab's tables and the figures quoted in its narrative, declared as
+// queries over the survey. Tables are re-rendered from these specs at load;
+// quoted figures are checked against them so drift from survey.parquet shows.
+//
+// Table columns are { metric: 'count' | 'percent', decimals, within } where
+// `within` ({ column, values }) restricts the base to a subgroup. Percentages
+// are of all respondents in the base, so multi-select options add up to more
+// than 100%. Answers outside the codebook options are summed into an "Other"
+// row when `other` is set and dropped otherwise.
+
+import { CODEBOOK, optionRank } from './codebook.js';
+import { columnSource, matchValuesSql } from './multiselect.js';
+import { sql, whereSql, column as columnRef, execute } from './query.js';
+
+const COUNT = { metric: 'count' };
+const PERCENT = { metric: 'percent', decimals: 1 };
+
+export const REPORT_TABLES = {
+    role: {
+        column: 'role',
+        columns: [COUNT, PERCENT],
+        labels: { 'Software Engineer working on data': 'Software Engineer (data focus)' },
+        other: 'Other'
+    },
+    region: {
+        column: 'region',
+        columns: [COUNT, PERCENT],
+        labels: { 'Asia–Pacific': 'Asia-Pacific' },
+        exclude: ['Prefer not to say']
+    },
+    org_size: {
+        column: 'org_size',
+        columns: [COUNT, PERCENT],
+        order: 'scale-desc',
+        labels: {
+            '10,000+': '10,000+ employees',
+            '1,000–10,000': '1,000-10,000 employees',
+            '200–999': '200-999 employees',
+            '50–199': '50-199 employees',
+            '< 50 employees': 'Under 50 employees'
+        }
+    },
+    storage_environment: {
+        column: 'storage_environment',
+        columns: [PERCENT],
+        labels: {
+            'Cloud data warehouse (Snowflake, BigQuery, Redshift, etc.)': 'Cloud Data Warehouse (Snowflake, BigQuery, Redshift)',
+            'Lakehouse (Databricks, Iceberg/Hudi/Delta + compute engine)': 'Lakehouse (Databricks, Iceberg/Hudi/Delta)',
+            'Mixed/hybrid': 'Mixed/Hybrid',
+            'On-prem data warehouse': 'On-premises Data Warehouse'
+        },
+        other: 'Other'
+    },
+    orchestration: {
+        column: 'orchestration',
+        columns: [PERCENT],
+        labels: {
+            'Cloud-native (GCP Cloud Composer, AWS MWAA, etc.)': 'Cloud-native (Composer, MWAA, etc.)',
+            'Airflow': 'Self-managed Airflow',
+            'No orchestration / ad-hoc': 'No orchestration / Ad-hoc'
+        },
+        other: 'Other (Databricks Jobs, dbt, SSIS, etc.)'
+    },
+    architecture_trend: {
+        column: 'architecture_trend',
+        columns: [
+            PERCENT,
+            { metric: 'percent', decimals: 0, within: { column: 'org_size', values: ['< 50 employees'] } },
+            { metric: 'percent', decimals: 0, within: { column: 'org_size', values: ['10,000+'] } }
+        ],
+        labels: {
+            'Centralized warehouse': 'Centralized Warehouse',
+            'Data mesh / federated ownership': 'Data Mesh / Federated',
+            'Event-driven architecture': 'Event-driven Architecture'
+        }
+    },
+    ai_usage_frequency: {
+        column: 'ai_usage_frequency',
+        columns: [PERCENT],
+        order: 'scale-desc'
+    },
+    ai_helps_with: {
+        column: 'ai_helps_with',
+        columns: [PERCENT],
+        labels: {
+            'Writing Code (SQL, Python, etc)': 'Writing Code (SQL, Python, etc.)',
+            'Documentation / data discovery': 'Documentation / Data Discovery',
+            'Pipeline debugging': 'Pipeline Debugging',
+            'Architecture design': 'Architecture Design',
+            'Data modeling': 'Data Modeling',
+            'Governance / quality checks': 'Governance / Quality Checks'
+        },
+        exclude: ["I don't find AI helpful"]
+    },
+    ai_adoption: {
+        column: 'ai_adoption',
+        columns: [PERCENT]
+    },
+    modeling_approach: {
+        column: 'modeling_approach',
+        columns: [PERCENT]
+    },
+    modeling_pain_points: {
+        column: 'modeling_pain_points',
+        columns: [PERCENT],
+        labels: {
+            'Pressure to “move fast”': 'Pressure to move fast',
+            'Tools don’t support good modeling': 'Tools do not support good modeling'
+        }
+    },
+    biggest_bottleneck: {
+        column: 'biggest_bottleneck',
+        columns: [PERCENT],
+        labels: {
+            'Legacy / technical debt': 'Legacy systems / technical debt',
+            'Talent / hiring': 'Talent / hiring challenges',
+            'Data quality': 'Data quality issues'
+        }
+    },
+    team_focus: {
+        column: 'team_focus',
+        columns: [PERCENT]
+    },
+    team_growth_2026: {
+        column: 'team_growth_2026',
+        columns: [PERCENT]
+    },
+    education_topic: {
+        column: 'education_topic',
+        columns: [COUNT]
+    }
+};
+
+const ALL_PAIN_POINTS = CODEBOOK.modeling_pain_points.options
+    .filter(option => option !== 'None / modeling is going well');
+
+// Figures quoted in the narrative: share of respondents (within the optional
+// subgroup) whose answer matches any of `values`. `tolerance` (in points)
+// covers hedged wording such as "nearly 90%".
+export const REPORT_STATS = {
+    respondents: { metric: 'count' },
+    ai_daily: { column: 'ai_usage_frequency', values: ['Daily', 'Multiple times per day'] },
+    ai_unhelpful: { column: 'ai_helps_with', values: ["I don't find AI helpful"] },
+    legacy_bottleneck: { column: 'biggest_bottleneck', values: ['Legacy / technical debt'] },
+    team_growth: { column: 'team_growth_2026', values: ['Grow'] },
+    cloud_warehouse: { column: 'storage_environment', values: ['Cloud data warehouse (Snowflake, BigQuery, Redshift, etc.)'] },
+    lakehouse: { column: 'storage_environment', values: ['Lakehouse (Databricks, Iceberg/Hudi/Delta + compute engine)'] },
+    cloud_warehouse_na: {
+        column: 'storage_environment', values: ['Cloud data warehouse (Snowflake, BigQuery, Redshift, etc.)'],
+        within: { column: 'region', values: ['United States / Canada'] }
+    },
+    cloud_warehouse_eu: {
+        column: 'storage_environment', values: ['Cloud data warehouse (Snowflake, BigQuery, Redshift, etc.)'],
+        within: { column: 'region', values: ['Europe (EU / UK)'] }
+    },
+    lakehouse_eu: {
+        column: 'storage_environment', values: ['Lakehouse (Databricks, Iceberg/Hudi/Delta + compute engine)'],
+        within: { column: 'region', values: ['Europe (EU / UK)'] }
+    },
+    lakehouse_latam: {
+        column: 'storage_environment', values: ['Lakehouse (Databricks, Iceberg/Hudi/Delta + compute engine)'],
+        within: { column: 'region', values: ['Latin America'] }
+    },
+    no_orchestration: { column: 'orchestration', values: ['No orchestration / ad-hoc'] },
+    dagster_small: {
+        column: 'orchestration', values: ['Dagster'],
+        within: { column: 'org_size', values: ['< 50 employees'] }
+    },
+    dagster_enterprise: {
+        column: 'orchestration', values: ['Dagster'],
+        within: { column: 'org_size', values: ['10,000+'] }
+    },
+    mesh_small: {
+        column: 'architecture_trend', values: ['Data mesh / federated ownership'],
+        within: { column: 'org_size', values: ['< 50 employees'] }
+    },
+    mesh_enterprise: {
+        column: 'architecture_trend', values: ['Data mesh / federated ownership'],
+        within: { column: 'org_size', values: ['10,000+'] }
+    },
+    modeling_pain_any: { column: 'modeling_pain_points', values: ALL_PAIN_POINTS, tolerance: 2 },
+    fighting_fires: { column: 'team_focus', values: ['Fighting fires'] },
+    canonical_models: { column: 'modeling_approach', values: ['Canonical/semantic models'] },
+    growth_talent: {
+        column: 'team_growth_2026', values: ['Grow'],
+        within: { column: 'biggest_bottleneck', values: ['Talent / hiring'] }
+    },
+    growth_leadership: {
+        column: 'team_growth_2026', values: ['Grow'],
+        within: { column: 'biggest_bottleneck', values: ['Lack of leadership direction'] }
+    },
+    shrink_leadership: {
+        column: 'team_growth_2026', values: ['Shrink'],
+        within: { column: 'biggest_bottleneck', values: ['Lack of leadership direction'] }
+    },
+    ai_daily_ai_roles: {
+        column: 'ai_usage_frequency', values: ['Daily', 'Multiple times per day'],
+        within: { column: 'role', values: ['AI Engineer', 'ML Engineer / MLOps'] }
+    },
+    ai_daily_architects: {
+        column: 'ai_usage_frequency', values: ['Daily', 'Multiple times per day'],
+        within: { column: 'role', values: ['Data Architect'] }
+    },
+    advanced_ai_tech: {
+        column: 'ai_adoption', values: ['Building internal AI platforms', 'AI embedded in most workflows'],
+        within: { column: 'industry', values: ['Tech'] }
+    },
+    advanced_ai_public: {
+        column: 'ai_adoption', values: ['Building internal AI platforms', 'AI embedded in most workflows'],
+        within: { column: 'industry', values: ['Public sector / Education'] }
+    },
+    growth_ai_embedded: {
+        column: 'team_growth_2026', values: ['Grow'],
+        within: { column: 'ai_adoption', values: ['AI embedded in most workflows'] }
+    },
+    growth_no_ai: {
+        column: 'team_growth_2026', values: ['Grow'],
+        within: { column: 'ai_adoption', values: ['No meaningful adoption yet'] }
+    },
+    kimball_centralized: {
+        column: 'modeling_approach', values: ['Kimball-style dimensional modeling'],
+        within: { column: 'architecture_trend', values: ['Centralized warehouse'] }
+    },
+    mixed_mesh: {
+        column: 'modeling_approach', values: ['Mixed (depends on use case)'],
+        within: { column: 'architecture_trend', values: ['Data mesh / federated ownership'] }
+    },
+    adhoc_mesh: {
+        column: 'modeling_approach', values: ['Ad-hoc / tables added as needed'],
+        within: { column: 'architecture_trend', values: ['Data mesh / federated ownership'] }
+    },
+    fires_adhoc: {
+        column: 'team_focus', values: ['Fighting fires'],
+        within: { column: 'modeling_approach', values: ['Ad-hoc / tables added as needed'] }
+    },
+    fires_canonical: {
+        column: 'team_focus', values: ['Fighting fires'],
+        within: { column: 'modeling_approach', values: ['Canonical/semantic models'] }
+    }
+};
+
+// The Executive Summary's "Key Findings at a Glance", by REPORT_STATS id
+export const KEY_FINDINGS = {
+    ai_daily: 'Data professionals using AI tools daily or more frequently',
+    legacy_bottleneck: 'Cite legacy systems and technical debt as their biggest bottleneck',
+    team_growth: 'Expect their data teams to grow in 2026',
+    cloud_warehouse: 'Use cloud data warehouses as their primary storage/processing environment'
+};
+
+function withinConditions(within) {
+    return within ? [matchValuesSql(within.column, within.values)] : [];
+}
+
+async function countRespondents(conn, within, conditions = []) {
+    const result = await execute(conn, sql`SELECT COUNT(*) as c FROM survey ${whereSql([...withinConditions(within), ...conditions])}`);
+    return Number(result.toArray()[0].c);
+}
+
+export function formatReportValue(value, metric, decimals = 1) {
+    return metric === 'count' ? value.toLocaleString() : `${value.toFixed(decimals)}%`;
+}
+
+// Counts per answer for one table column: Map(label -> count) plus the base.
+// `conditions` narrows both to a segment of respondents.
+async function countAnswers(conn, spec, within, conditions = []) {
+    const source = columnSource(spec.column);
+    const result = await execute(conn, sql`
+        SELECT ${source.expr} as value, COUNT(*) as count
+        FROM ${source.from}
+        ${whereSql([...withinConditions(within), ...conditions, sql`${columnRef(spec.column)} IS NOT NULL`])}
+        GROUP BY ${source.expr}
+    `);
+
+    const options = CODEBOOK[spec.column].options;
+    const exclude = spec.exclude || [];
+    const counts = new Map();
+    for (const row of result.toArray()) {
+        if (exclude.includes(row.value)) continue;
+        let label;
+        if (options.includes(row.value)) {
+            label = (spec.labels && spec.labels[row.value]) || row.value;
+        } else if (spec.other) {
+            label = spec.other;
+        } else {
+            continue;
+        }
+        counts.set(label, (counts.get(label) || 0) + Number(row.count));
+    }
+    return { counts, total: await countRespondents(conn, within, conditions) };
+}
+
+// Row order: by count with "Other" last, or down the codebook scale
+function orderLabels(spec, counts) {
+    const labels = Array.from(counts.keys());
+    if (spec.order === 'scale-desc') {
+        // Codebook scale, largest first; labels map back to their answers
+        const answerOf = label => Object.keys(spec.labels || {}).find(key => spec.labels[key] === label) || label;
+        return labels.sort((a, b) => optionRank(spec.column, answerOf(b)) - optionRank(spec.column, answerOf(a)));
+    }
+    return labels.sort((a, b) => (a === spec.other) - (b === spec.other) || counts.get(b) - counts.get(a));
+}
+
+// Rows of a report table: [{ label, cells: [{ value, text }] }]
+export async function computeReportTable(conn, spec) {
+    const columns = await Promise.all(spec.columns.map(col => countAnswers(conn, spec, col.within)));
+
+    return orderLabels(spec, columns[0].counts).map(label => ({
+        label,
+        cells: spec.columns.map((col, i) => {
+            const { counts, total } = columns[i];
+            const count = counts.get(label) || 0;
+            const value = col.metric === 'count' ? count : (total > 0 ? (count / total) * 100 : 0);
+            return { value, text: formatReportValue(value, col.metric, col.decimals) };
+        })
+    }));
+}
+
+// A table's answers for a segment next to all respondents:
+// { rows: [{ label, segment, overall }], segmentBase, overallBase } where
+// segment/overall are { count, percent }. Rows keep the overall table's order.
+export async function computeSegmentTable(conn, spec, conditions) {
+    const overall = await countAnswers(conn, spec);
+    const segment = await countAnswers(conn, spec, null, conditions);
+    const share = (count, base) => ({ count, percent: base > 0 ? (count / base) * 100 : 0 });
+
+    return {
+        rows: orderLabels(spec, overall.counts).map(label => ({
+            label,
+            segment: share(segment.counts.get(label) || 0, segment.total),
+            overall: share(overall.counts.get(label) || 0, overall.total)
+        })),
+        segmentBase: segment.total,
+        overallBase: overall.total
+    };
+}
+
+// Value of a narrative figure (a count, or a percentage)
+// `conditions` computes the figure for a segment instead of everyone
+export async function computeReportStat(conn, spec, conditions = []) {
+    const total = await countRespondents(conn, spec.within, conditions);
+    if (spec.metric === 'count') return total;
+
+    const result = await execute(conn, sql`
+        SELECT COUNT(*) as c FROM survey
+        ${whereSql([...withinConditions(spec.within), ...conditions, matchValuesSql(spec.column, spec.values)])}
+    `);
+    return total > 0 ? (Number(result.toArray()[0].c) / total) * 100 : 0;
+}
+
+// Whether a quoted figure ("38.4%", "~82%", "92%+", "1,101") agrees with
+// `value` at the precision it was quoted with. A leading "~" allows one point
+// either way; a trailing "+" only requires the value to reach the figure.
+export function matchesQuoted(text, value, tolerance = 0) {
+    const match = String(text).replace(/,/g, '').match(/(~?)(-?\d+(?:\.(\d+))?)%?(\+?)/);
+    if (!match) return true;
+    const quoted = Number(match[2]);
+    // Half a unit in the last quoted digit, so either rounding of a tie passes
+    const rounding = 0.5 / 10 ** (match[3] ? match[3].length : 0) + 1e-9;
+    if (match[4]) return value >= quoted - rounding;
+    const allowed = Math.max(tolerance, match[1] ? 1 : 0, rounding);
+    return Math.abs(value - quoted) <= allowed;
+}
@@ -0,0 +1,191 @@
+// ===== Statistics =====
+// Small, dependency-free helpers for significance testing in the browser.
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Cochran's rule: the chi-square approximation is unreliable when more than
+// 20% of expected counts are below 5, or any is below 1
+const MIN_EXPECTED = 5;
+const MAX_LOW_EXPECTED_SHARE = 0.2;
+
+// log Γ(x), Lanczos approximation
+function logGamma(x) {
+    const c = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const coef of c) ser += coef / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Regularized upper incomplete gamma Q(a, x)
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    const gln = logGamma(a);
+
+    if (x < a + 1) {
+        // Series for P(a, x)
+        let sum = 1 / a;
+        let del = sum;
+        for (let n = 1; n < 500; n++) {
+            del *= x / (a + n);
+            sum += del;
+            if (Math.abs(del) < Math.abs(sum) * 1e-14) break;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+    }
+
+    // Continued fraction for Q(a, x) (modified Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < 1e-14) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+// P(X >= x) for X ~ chi-square(df)
+export function chiSquarePValue(x, df) {
+    if (df <= 0) return 1;
+    return Math.min(1, Math.max(0, gammaQ(df / 2, x / 2)));
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+export function normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+        138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+        66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+        -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+        3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Pearson chi-square test of independence for a table of counts
+// (observed[row][col]). Rows and columns that sum to zero are ignored.
+// Adjusted standardized residuals are approximately N(0, 1) under
+// independence, so |residual| above the critical value marks a cell that is
+// over- or under-represented.
+export function chiSquareTest(observed) {
+    const rowSums = observed.map(row => row.reduce((a, b) => a + b, 0));
+    const colSums = observed[0] ? observed[0].map((_, j) =>
+        observed.reduce((sum, row) => sum + row[j], 0)) : [];
+    const n = rowSums.reduce((a, b) => a + b, 0);
+
+    const activeRows = rowSums.filter(s => s > 0).length;
+    const activeCols = colSums.filter(s => s > 0).length;
+    const df = (activeRows - 1) * (activeCols - 1);
+
+    let statistic = 0;
+    let lowExpected = 0;
+    let minExpected = Infinity;
+    const expected = [];
+    const residuals = [];
+
+    observed.forEach((row, i) => {
+        expected.push([]);
+        residuals.push([]);
+        row.forEach((count, j) => {
+            if (rowSums[i] === 0 || colSums[j] === 0) {
+                expected[i].push(0);
+                residuals[i].push(0);
+                return;
+            }
+            const e = rowSums[i] * colSums[j] / n;
+            const variance = e * (1 - rowSums[i] / n) * (1 - colSums[j] / n);
+            statistic += (count - e) ** 2 / e;
+            if (e < MIN_EXPECTED) lowExpected++;
+            minExpected = Math.min(minExpected, e);
+            expected[i].push(e);
+            residuals[i].push(variance > 0 ? (count - e) / Math.sqrt(variance) : 0);
+        });
+    });
+
+    const cells = activeRows * activeCols;
+    const minDim = Math.min(activeRows, activeCols);
+
+    return {
+        statistic,
+        df,
+        n,
+        pValue: chiSquarePValue(statistic, df),
+        cramersV: n > 0 && minDim > 1 ? Math.sqrt(statistic / (n * (minDim - 1))) : 0,
+        expected,
+        residuals,
+        cells,
+        lowExpected,
+        minExpected: cells > 0 ? minExpected : 0,
+        lowExpectedWarning: cells > 0 &&
+            (lowExpected / cells > MAX_LOW_EXPECTED_SHARE || minExpected < 1)
+    };
+}
+
+// Two-sided critical |z| for `tests` simultaneous comparisons (Bonferroni)
+export function criticalZ(tests = 1, alpha = SIGNIFICANCE_LEVEL) {
+    return normalQuantile(1 - alpha / (2 * Math.max(1, tests)));
+}
+
+// Wilson score interval for a proportion `successes / n`; unlike the normal
+// approximation it stays inside [0, 1] and behaves at small n and near 0%/100%
+export function wilsonInterval(successes, n, confidence = 0.95) {
+    if (n <= 0) return { low: 0, high: 0 };
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const p = successes / n;
+    const z2 = z * z;
+    const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const margin = (z / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+    return {
+        low: Math.max(0, center - margin),
+        high: Math.min(1, center + margin)
+    };
+}
+
+// Two-sided z-test for the difference between two independent proportions
+// (pooled standard error)
+export function twoProportionTest(x1, n1, x2, n2) {
+    if (n1 <= 0 || n2 <= 0) return { z: 0, pValue: 1 };
+    const pooled = (x1 + x2) / (n1 + n2);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    if (se === 0) return { z: 0, pValue: 1 };
+    const z = (x1 / n1 - x2 / n2) / se;
+    // Two-sided normal p-value: z² is chi-square with 1 df
+    return { z, pValue: chiSquarePValue(z * z, 1) };
+}
+
+export function formatPValue(p) {
+    if (p < 0.001) return 'p < 0.001';
+    return `p = ${p.toFixed(3)}`;
+}
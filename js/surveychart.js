@@ -0,0 +1,233 @@
+// ===== <survey-chart> =====
+// A survey bar chart as a custom element, for pages that show several charts
+// without an iframe each. Import this module once; every <survey-chart> on
+// the page queries one shared DuckDB instance, started by the first chart.
+//
+//     <script type="module" src="https://example.com/survey/js/surveychart.js"></script>
+//     <survey-chart column="role" metric="percent" limit="6"
+//                   filters='{"region": ["Europe (EU / UK)"]}'></survey-chart>
+//
+// Attributes: column, metric (count | percent), limit, theme (dark | light),
+// and filters: either { column: [values] } to include answers, or a saved
+// segment's filter state ({ "sidebar": ..., "chart": ..., "advanced": ... }).
+//
+// Styling: the --survey-chart-* custom properties below, set on the element or
+// any ancestor, plus the parts title, chart and footer.
+
+import { openSurveyDatabase } from './database.js';
+import { CHART_COLORS } from './charts.js';
+import { widgetTitle, segmentConditions, renderWidget } from './widgets.js';
+
+const STYLES = `
+    :host {
+        --survey-chart-bg: #0d1117;
+        --survey-chart-track: #1c2128;
+        --survey-chart-border: #30363d;
+        --survey-chart-text: #e6edf3;
+        --survey-chart-text-secondary: #8b949e;
+        --survey-chart-text-muted: #6e7681;
+        --survey-chart-error: #f85149;
+        --survey-chart-font: 'IBM Plex Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        --survey-chart-radius: 8px;
+        --survey-chart-bar-radius: 4px;
+        --survey-chart-bar-height: 22px;
+        --survey-chart-label-width: 160px;
+        --survey-chart-padding: 16px;
+
+        display: block;
+        padding: var(--survey-chart-padding);
+        background: var(--survey-chart-bg);
+        border: 1px solid var(--survey-chart-border);
+        border-radius: var(--survey-chart-radius);
+        color: var(--survey-chart-text);
+        font-family: var(--survey-chart-font);
+    }
+
+    :host([theme="light"]) {
+        --survey-chart-bg: #ffffff;
+        --survey-chart-track: #f0f3f6;
+        --survey-chart-border: #d0d7de;
+        --survey-chart-text: #1f2328;
+        --survey-chart-text-secondary: #656d76;
+        --survey-chart-text-muted: #8c959f;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    .title {
+        margin: 0 0 12px;
+        font-size: 1rem;
+        font-weight: 600;
+    }
+
+    .chart-bar-container {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+    }
+
+    .chart-bar-row {
+        display: grid;
+        grid-template-columns: var(--survey-chart-label-width) 1fr 50px;
+        align-items: center;
+        gap: 12px;
+    }
+
+    .chart-bar-label {
+        font-size: 0.8125rem;
+        color: var(--survey-chart-text-secondary);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+    }
+
+    .chart-bar-track {
+        height: var(--survey-chart-bar-height);
+        background: var(--survey-chart-track);
+        border-radius: var(--survey-chart-bar-radius);
+        overflow: hidden;
+    }
+
+    .chart-bar-fill {
+        height: 100%;
+        border-radius: var(--survey-chart-bar-radius);
+        transition: width 0.6s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+
+    .chart-bar-value {
+        font-size: 0.8125rem;
+        font-weight: 600;
+        text-align: right;
+    }
+
+    .footer {
+        margin-top: 10px;
+        font-size: 0.625rem;
+        color: var(--survey-chart-text-muted);
+    }
+
+    .loading,
+    .embed-error {
+        font-size: 0.875rem;
+        color: var(--survey-chart-text-muted);
+    }
+
+    .embed-error {
+        color: var(--survey-chart-error);
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+        .chart-bar-fill {
+            transition: none;
+        }
+    }
+`;
+
+// Bar colors: --survey-chart-color-1 ... -8, defaulting to the app's palette
+const BAR_COLORS = CHART_COLORS.map((color, i) => `var(--survey-chart-color-${i + 1}, ${color})`);
+
+// ===== Shared Database =====
+let connectionPromise = null;
+
+function getConnection() {
+    if (!connectionPromise) {
+        // The latest survey is all a chart needs
+        connectionPromise = openSurveyDatabase({ allYears: false }).then(({ conn }) => conn).catch(error => {
+            // Let a later chart try again
+            connectionPromise = null;
+            throw error;
+        });
+    }
+    return connectionPromise;
+}
+
+// ===== Filters =====
+// { column: [values] } shorthand, or a saved segment's filter state
+function parseFilters(text) {
+    if (!text) return [];
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object') return [];
+
+    const isState = ['sidebar', 'chart', 'advanced'].some(key => key in parsed);
+    if (isState) return segmentConditions(parsed);
+
+    const sidebar = {};
+    for (const [column, values] of Object.entries(parsed)) {
+        sidebar[column] = { values: Array.isArray(values) ? values.map(String) : [String(values)], mode: 'include' };
+    }
+    return segmentConditions({ sidebar });
+}
+
+// ===== Element =====
+class SurveyChart extends HTMLElement {
+    static get observedAttributes() {
+        return ['column', 'metric', 'limit', 'filters'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `
+            <style>${STYLES}</style>
+            <h3 class="title" part="title"></h3>
+            <div class="chart" part="chart"><div class="loading">Loading chart…</div></div>
+            <div class="footer" part="footer"></div>`;
+        this.renderId = 0;
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.isConnected && oldValue !== newValue) {
+            this.render();
+        }
+    }
+
+    async render() {
+        // Attribute changes in a row only draw the last state
+        const renderId = ++this.renderId;
+        await Promise.resolve();
+        if (renderId !== this.renderId) return;
+
+        const options = {
+            widget: 'bar',
+            column: this.getAttribute('column') || 'role',
+            metric: this.getAttribute('metric') === 'percent' ? 'percent' : 'count',
+            limit: parseInt(this.getAttribute('limit')) || 8,
+            colors: BAR_COLORS
+        };
+        const chart = this.shadowRoot.querySelector('.chart');
+        const footer = this.shadowRoot.querySelector('.footer');
+        this.shadowRoot.querySelector('.title').textContent = widgetTitle(options);
+
+        try {
+            const conn = await getConnection();
+            const conditions = parseFilters(this.getAttribute('filters'));
+            if (renderId !== this.renderId) return;
+
+            // Drawn off-screen and swapped in, unless a newer render started
+            const target = document.createElement('div');
+            const { count } = await renderWidget(conn, target, { ...options, conditions });
+            if (renderId !== this.renderId) return;
+            chart.replaceChildren(target);
+            footer.textContent = `n = ${count.toLocaleString()}`;
+        } catch (error) {
+            if (renderId !== this.renderId) return;
+            console.error('survey-chart error:', error);
+            chart.innerHTML = '';
+            const message = document.createElement('div');
+            message.className = 'embed-error';
+            message.textContent = `Error loading chart: ${error.message}`;
+            chart.appendChild(message);
+            footer.textContent = '';
+        }
+    }
+}
+
+if (!customElements.get('survey-chart')) {
+    customElements.define('survey-chart', SurveyChart);
+}
@@ -0,0 +1,110 @@
+// ===== URL State =====
+// Filters and the active tab as the app's address bar, share links, embed
+// URLs and embeds' explore links carry them. Version 1:
+//
+//     v=1                  schema version
+//     f_<col>=<value>      sidebar filter, any of the values (repeated)
+//     fx_<col>=<value>     sidebar filter, none of the values (repeated)
+//     c_<col>=<value>      chart click-filter
+//     adv=<JSON>           advanced filter expression
+//     tab=<tab>            active tab
+//
+// Links without v are still read: the app used plain column names with
+// <col>_mode=exclude and cf=<JSON> for chart filters, embeds f_ / fx_ for
+// both kinds of filters.
+
+import { EXPLORER_URL } from './config.js';
+
+export const URL_STATE_VERSION = 1;
+
+// The explorer's base URL, resolved against the current page
+export function explorerUrl(path = '') {
+    return new URL(path, new URL(EXPLORER_URL || './', window.location.href)).href;
+}
+
+// URLSearchParams -> { filters: { sidebar, chart, advanced }, tab }, filters
+// in the saved-segment shape. Unversioned plain-column filters are only read
+// for the given `columns`. The advanced expression is returned as parsed.
+export function readUrlState(params, columns = []) {
+    const version = parseInt(params.get('v')) || 0;
+    if (version > URL_STATE_VERSION) {
+        console.warn(`URL state v${version} is newer than this version (v${URL_STATE_VERSION}); reading what it can`);
+    }
+
+    const sidebar = {};
+    const chart = {};
+    for (const [key, value] of params.entries()) {
+        const match = key.match(/^(f|fx|c)_(.+)$/);
+        if (!match) continue;
+        const column = match[2];
+        if (match[1] === 'c') {
+            chart[column] = value;
+            continue;
+        }
+        const mode = match[1] === 'fx' ? 'exclude' : 'include';
+        if (!sidebar[column] || sidebar[column].mode !== mode) {
+            sidebar[column] = { values: [], mode };
+        }
+        sidebar[column].values.push(value);
+    }
+
+    if (!version) {
+        for (const column of new Set(params.keys())) {
+            if (!columns.includes(column)) continue;
+            sidebar[column] = {
+                values: params.getAll(column),
+                mode: params.get(`${column}_mode`) === 'exclude' ? 'exclude' : 'include'
+            };
+        }
+        const chartParam = params.get('cf');
+        if (chartParam) {
+            try {
+                Object.assign(chart, JSON.parse(decodeURIComponent(chartParam)));
+            } catch (e) {
+                console.warn('Could not parse chart filters from URL:', e);
+            }
+        }
+    }
+
+    let advanced = null;
+    const advParam = params.get('adv');
+    if (advParam) {
+        try {
+            advanced = JSON.parse(advParam);
+        } catch (e) {
+            console.warn('Could not parse advanced filter from URL:', e);
+        }
+    }
+
+    return { filters: { sidebar, chart, advanced }, tab: params.get('tab') };
+}
+
+// Add filters (a saved-segment filter state) and tab to `params`
+export function writeUrlState(params, { filters = {}, tab = null } = {}) {
+    const sidebar = Object.entries(filters.sidebar || {}).filter(([, filter]) => filter.values.length > 0);
+    const chart = Object.entries(filters.chart || {});
+    if (sidebar.length === 0 && chart.length === 0 && !filters.advanced && !tab) return params;
+
+    params.set('v', URL_STATE_VERSION);
+    for (const [column, filter] of sidebar) {
+        const prefix = filter.mode === 'exclude' ? 'fx_' : 'f_';
+        filter.values.forEach(value => params.append(`${prefix}${column}`, value));
+    }
+    for (const [column, value] of chart) {
+        params.append(`c_${column}`, value);
+    }
+    if (filters.advanced) {
+        params.set('adv', JSON.stringify(filters.advanced));
+    }
+    if (tab) {
+        params.set('tab', tab);
+    }
+    return params;
+}
+
+// Link into the explorer showing these filters on `tab`
+export function exploreUrl(filters, tab) {
+    const params = writeUrlState(new URLSearchParams(), { filters, tab });
+    const query = params.toString();
+    return query ? `${explorerUrl()}?${query}` : explorerUrl();
+}
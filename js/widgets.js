@@ -0,0 +1,329 @@
+// ===== Embed Widgets =====
+// What embed.html can show: a bar chart of one column, a crosstab heatmap, two
+// segments side by side, or a Key Findings stat card (the bar chart is also
+// the <survey-chart> element, see surveychart.js). Each renderer queries
+// the open connection, fills `container` and returns { subtitle, count } for
+// the embed's header and footer. `conditions` are the embed's filters,
+// already compiled; comparison segments are filter states as saved in the app.
+
+import { columnSource, joinOptionsSql, isMultiSelect, matchValueSql, matchValuesSql } from './multiselect.js';
+import { normalizeExpression, compileExpression } from './filterexpr.js';
+import { chartTitle, columnLabel, sortByCodebook } from './codebook.js';
+import { criticalZ } from './stats.js';
+import { CHART_COLORS, CROSSTAB_METRICS, CROSSTAB_METRIC_LABELS, escapeHtml, truncateText, crosstabValue, getHeatmapColor, compareProportions } from './charts.js';
+import { REPORT_STATS, KEY_FINDINGS, computeReportStat, formatReportValue } from './report.js';
+import { sql, join, int, whereSql, hasColumn, column as columnRef, execute } from './query.js';
+
+export const WIDGET_TYPES = ['bar', 'crosstab', 'compare', 'stat'];
+
+// The metric values each widget understands
+export const WIDGET_METRICS = {
+    bar: ['count', 'percent'],
+    crosstab: CROSSTAB_METRICS,
+    compare: ['count', 'percent'],
+    stat: []
+};
+
+const BASELINE_COLOR = 'var(--color-text-muted)';
+
+export function widgetTitle(options) {
+    switch (options.widget) {
+        case 'crosstab':
+            return `${columnLabel(options.rows)} × ${columnLabel(options.cols)}`;
+        case 'stat':
+            return 'Key Finding';
+        default:
+            return chartTitle(options.column);
+    }
+}
+
+// Conditions for a filter state ({ sidebar, chart, advanced }); columns the
+// survey doesn't have are skipped
+export function segmentConditions(state) {
+    const conditions = [];
+    for (const [col, filter] of Object.entries(state.sidebar || {})) {
+        if (hasColumn(col) && filter.values && filter.values.length > 0) {
+            conditions.push(matchValuesSql(col, filter.values, filter.mode));
+        }
+    }
+    for (const [col, value] of Object.entries(state.chart || {})) {
+        if (hasColumn(col)) conditions.push(matchValueSql(col, value));
+    }
+    const expression = normalizeExpression(state.advanced);
+    if (expression) conditions.push(compileExpression(expression));
+    return conditions;
+}
+
+export async function renderWidget(conn, container, options) {
+    switch (options.widget) {
+        case 'crosstab':
+            return renderCrosstabWidget(conn, container, options);
+        case 'compare':
+            return renderCompareWidget(conn, container, options);
+        case 'stat':
+            return renderStatWidget(conn, container, options);
+        default:
+            return renderBarWidget(conn, container, options);
+    }
+}
+
+async function countRespondents(conn, conditions) {
+    const result = await execute(conn, sql`SELECT COUNT(*) as c FROM survey ${whereSql(conditions)}`);
+    return Number(result.toArray()[0].c);
+}
+
+// Bars grow in from zero once they are on screen
+function animateBars(container, selector) {
+    requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+            container.querySelectorAll(selector).forEach(fill => {
+                fill.style.width = fill.dataset.targetWidth + '%';
+            });
+        });
+    });
+}
+
+function noData(container) {
+    container.innerHTML = '<div class="embed-error">No data matches these filters</div>';
+}
+
+// ===== Bar Chart =====
+// `colors` replaces the bar palette (e.g. with CSS variables)
+async function renderBarWidget(conn, container, { column, limit, metric, conditions, colors = CHART_COLORS }) {
+    const totalFiltered = await countRespondents(conn, conditions);
+
+    // Multi-select columns count each option
+    const source = columnSource(column);
+    const result = await execute(conn, sql`
+        SELECT ${source.expr} as label, COUNT(*) as count
+        FROM ${source.from}
+        ${whereSql([...conditions, sql`${columnRef(column)} IS NOT NULL`])}
+        GROUP BY ${source.expr}
+        ORDER BY count DESC
+        LIMIT ${int(limit)}
+    `);
+    const rows = sortByCodebook(column, result.toArray(), row => row.label);
+
+    if (rows.length === 0) {
+        noData(container);
+        return { subtitle: '', count: totalFiltered };
+    }
+
+    const maxCount = Math.max(...rows.map(r => Number(r.count)));
+
+    let html = '<div class="chart-bar-container">';
+    rows.forEach((row, i) => {
+        const count = Number(row.count);
+        const barWidth = (count / maxCount) * 100;
+        const color = colors[i % colors.length];
+
+        let displayValue;
+        if (metric === 'percent') {
+            const pct = totalFiltered > 0 ? (count / totalFiltered) * 100 : 0;
+            displayValue = `${pct.toFixed(1)}%`;
+        } else {
+            displayValue = count.toLocaleString();
+        }
+
+        html += `
+            <div class="chart-bar-row" data-label="${escapeHtml(row.label)}">
+                <span class="chart-bar-label" title="${escapeHtml(row.label)}">${escapeHtml(truncateText(row.label, 28))}</span>
+                <div class="chart-bar-track">
+                    <div class="chart-bar-fill" data-target-width="${barWidth}" style="width: 0%; background: ${color};"></div>
+                </div>
+                <span class="chart-bar-value">${displayValue}</span>
+            </div>
+        `;
+    });
+    html += '</div>';
+    container.innerHTML = html;
+    animateBars(container, '.chart-bar-fill');
+
+    return { subtitle: `${totalFiltered.toLocaleString()} responses`, count: totalFiltered };
+}
+
+// ===== Crosstab Heatmap =====
+// The `limit` largest rows and columns, in answer order for ordinal questions.
+// Row % and column % are of the row and column totals, as in the app.
+async function renderCrosstabWidget(conn, container, { rows: rowCol, cols: colCol, metric, limit, conditions }) {
+    if (!rowCol || !colCol || rowCol === colCol) {
+        throw new Error('A crosstab needs two different columns (rows, cols)');
+    }
+    const shown = CROSSTAB_METRICS.includes(metric) ? metric : 'row_pct';
+
+    const rowNotNull = sql`${columnRef(rowCol)} IS NOT NULL`;
+    const colNotNull = sql`${columnRef(colCol)} IS NOT NULL`;
+    const rowSource = columnSource(rowCol, 'row_item');
+    const colSource = columnSource(colCol, 'col_item');
+    const joins = join([
+        isMultiSelect(rowCol) ? joinOptionsSql(rowCol, 'row_item') : null,
+        isMultiSelect(colCol) ? joinOptionsSql(colCol, 'col_item') : null
+    ], '\n');
+    const totalsQuery = (source, notNull) => sql`
+        SELECT ${source.expr} as val, COUNT(*) as total
+        FROM ${source.from}
+        ${whereSql([...conditions, notNull])}
+        GROUP BY ${source.expr}
+        ORDER BY total DESC
+    `;
+
+    const [cellsResult, rowTotalsResult, colTotalsResult, base] = await Promise.all([
+        execute(conn, sql`
+            SELECT ${rowSource.expr} as row_val, ${colSource.expr} as col_val, COUNT(*) as count
+            FROM survey
+            ${joins}
+            ${whereSql([...conditions, rowNotNull, colNotNull])}
+            GROUP BY ${rowSource.expr}, ${colSource.expr}
+        `),
+        execute(conn, totalsQuery(rowSource, rowNotNull)),
+        execute(conn, totalsQuery(colSource, colNotNull)),
+        countRespondents(conn, [...conditions, rowNotNull, colNotNull])
+    ]);
+
+    const rowTotals = new Map(rowTotalsResult.toArray().map(r => [r.val, Number(r.total)]));
+    const colTotals = new Map(colTotalsResult.toArray().map(r => [r.val, Number(r.total)]));
+    const rows = sortByCodebook(rowCol, Array.from(rowTotals.keys()).slice(0, limit));
+    const cols = sortByCodebook(colCol, Array.from(colTotals.keys()).slice(0, limit));
+
+    if (base === 0 || rows.length === 0 || cols.length === 0) {
+        noData(container);
+        return { subtitle: '', count: base };
+    }
+
+    const matrix = new Map(cellsResult.toArray().map(d => [`${d.row_val}|||${d.col_val}`, Number(d.count)]));
+    const value = (row, col) => {
+        const count = matrix.get(`${row}|||${col}`) || 0;
+        return crosstabValue(count, rowTotals.get(row), colTotals.get(col), shown);
+    };
+    const maxValue = Math.max(...rows.flatMap(row => cols.map(col => value(row, col))));
+
+    let html = '<table class="embed-crosstab"><thead><tr><th></th>';
+    for (const col of cols) {
+        html += `<th title="${escapeHtml(col)}">${escapeHtml(truncateText(col, 18))}</th>`;
+    }
+    html += '<th>Total</th></tr></thead><tbody>';
+    for (const row of rows) {
+        html += `<tr><th title="${escapeHtml(row)}">${escapeHtml(truncateText(row, 28))}</th>`;
+        for (const col of cols) {
+            const v = value(row, col);
+            const intensity = maxValue > 0 ? v / maxValue : 0;
+            const background = getHeatmapColor(intensity);
+            const text = v === 0 ? '–' : shown === 'count' ? v.toLocaleString() : `${v.toFixed(1)}%`;
+            const count = matrix.get(`${row}|||${col}`) || 0;
+            html += `<td class="${intensity > 0.5 ? 'strong' : ''}" style="background: ${background};" title="${count.toLocaleString()} responses">${text}</td>`;
+        }
+        html += `<td class="embed-crosstab-total">${rowTotals.get(row).toLocaleString()}</td></tr>`;
+    }
+    html += '</tbody></table>';
+    container.innerHTML = html;
+
+    const label = CROSSTAB_METRIC_LABELS[shown];
+    return { subtitle: `${label} · ${base.toLocaleString()} respondents`, count: base };
+}
+
+// ===== Segment Comparison =====
+// Two segments' shares of each answer with the difference in percentage
+// points. A segment with no filters is everyone, so the other is tested
+// against the rest of the sample rather than as an independent group.
+async function renderCompareWidget(conn, container, { column, limit, metric, segments, conditions }) {
+    if (!segments || segments.length !== 2) {
+        throw new Error('A comparison needs two segments (seg1, seg2)');
+    }
+
+    const series = segments.map((seg, i) => ({
+        ...seg,
+        color: seg.baseline ? BASELINE_COLOR : CHART_COLORS[i],
+        conditions: [...conditions, ...seg.conditions]
+    }));
+
+    const source = columnSource(column);
+    const results = await Promise.all(series.map(async (s) => {
+        const [total, result] = await Promise.all([
+            countRespondents(conn, s.conditions),
+            execute(conn, sql`
+                SELECT ${source.expr} as label, COUNT(*) as count
+                FROM ${source.from}
+                ${whereSql([...s.conditions, sql`${columnRef(column)} IS NOT NULL`])}
+                GROUP BY ${source.expr}
+            `)
+        ]);
+        s.total = total;
+        return new Map(result.toArray().map(row => [row.label, Number(row.count)]));
+    }));
+
+    const [a, b] = series;
+    const share = (i, label) => series[i].total > 0 ? (results[i].get(label) || 0) / series[i].total : 0;
+    const labels = sortByCodebook(column, Array.from(new Set([...results[0].keys(), ...results[1].keys()]))
+        .sort((x, y) => share(0, y) - share(0, x))
+        .slice(0, limit));
+
+    // Respondents in either segment
+    const count = a.baseline || b.baseline
+        ? Math.max(a.total, b.total)
+        : await countRespondents(conn, [...conditions, sql`((${join(segments[0].conditions, ' AND ')}) OR (${join(segments[1].conditions, ' AND ')}))`]);
+
+    if (labels.length === 0 || a.total === 0 || b.total === 0) {
+        noData(container);
+        return { subtitle: '', count };
+    }
+
+    const maxShare = Math.max(...labels.flatMap(label => [share(0, label), share(1, label)]));
+    const critical = criticalZ(labels.length);
+
+    let html = `<div class="embed-compare-legend">${series.map(s =>
+        `<span><i style="background: ${s.color};"></i>${escapeHtml(s.name)} <span class="embed-compare-n">n = ${s.total.toLocaleString()}</span></span>`
+    ).join('')}</div><div class="chart-bar-container">`;
+
+    for (const label of labels) {
+        const x = [results[0].get(label) || 0, results[1].get(label) || 0];
+        const bars = series.map((s, i) => `
+            <div class="chart-bar-track compare-track">
+                <div class="chart-bar-fill" data-target-width="${maxShare > 0 ? (share(i, label) / maxShare) * 100 : 0}" style="width: 0%; background: ${s.color};"></div>
+            </div>`).join('');
+        const values = series.map((s, i) => metric === 'percent'
+            ? `${(share(i, label) * 100).toFixed(1)}%`
+            : x[i].toLocaleString()).join(' / ');
+
+        // Tested as the segment within the baseline when one of them is it
+        const test = a.baseline
+            ? compareProportions(x[1], b.total, x[0], a.total, true)
+            : compareProportions(x[0], a.total, x[1], b.total, b.baseline);
+        const diff = (share(0, label) - share(1, label)) * 100;
+        const significant = Math.abs(test.z) > critical;
+
+        html += `
+            <div class="chart-bar-row compare-row" data-label="${escapeHtml(label)}">
+                <span class="chart-bar-label" title="${escapeHtml(label)}">${escapeHtml(truncateText(label, 28))}</span>
+                <div class="compare-bars">${bars}</div>
+                <span class="chart-bar-value" title="${escapeHtml(a.name)} − ${escapeHtml(b.name)}">${values}<span class="embed-compare-diff${significant ? ' significant' : ''}">${diff >= 0 ? '+' : ''}${diff.toFixed(1)}pp${significant ? '*' : ''}</span></span>
+            </div>`;
+    }
+    html += '</div><div class="embed-compare-note">pp = first minus second segment; * significant at p &lt; 0.05 after correcting for the number of answers</div>';
+    container.innerHTML = html;
+    animateBars(container, '.chart-bar-fill');
+
+    return { subtitle: `${a.name} vs ${b.name}`, count };
+}
+
+// ===== Key Findings Stat Card =====
+// One of REPORT_STATS, recomputed under the embed's filters
+async function renderStatWidget(conn, container, { stat, label, conditions }) {
+    const spec = REPORT_STATS[stat];
+    if (!spec) {
+        throw new Error(`Unknown stat "${stat}"`);
+    }
+
+    const [value, base] = await Promise.all([
+        computeReportStat(conn, spec, conditions),
+        countRespondents(conn, conditions)
+    ]);
+    const text = label || KEY_FINDINGS[stat] || (spec.metric === 'count' ? 'Respondents' : columnLabel(spec.column));
+
+    container.innerHTML = `
+        <div class="embed-stat">
+            <div class="embed-stat-value">${formatReportValue(value, spec.metric, 0)}</div>
+            <div class="embed-stat-label">${escapeHtml(text)}</div>
+        </div>`;
+
+    return { subtitle: `${base.toLocaleString()} respondents`, count: base };
+}
@@ -0,0 +1,282 @@
+// ===== XLSX Writer =====
+// Minimal Excel workbook writer: typed cells (numbers, booleans, dates,
+// strings), a few cell styles, frozen header rows and column widths, zipped
+// without compression. Strings are written inline, so text keeps its leading
+// zeros, '+' / '=' prefixes and encoding however Excel is set up.
+//
+// A sheet is { name, rows, freezeRows }, where rows are arrays of cells. A
+// cell is a plain value or { value, style } with style one of STYLES;
+// resultSheet builds one from a query result.
+
+const STYLES = { default: 0, bold: 1, date: 2, percent: 3, decimal: 4 };
+
+const MAX_CELL_TEXT = 32767;
+const MAX_COLUMN_WIDTH = 60;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Control characters other than tab and newline are not allowed in XML
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export function writeXlsx(sheets) {
+    const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+    const files = [
+        ['[Content_Types].xml', contentTypesXml(sheets.length)],
+        ['_rels/.rels', ROOT_RELS],
+        ['xl/workbook.xml', workbookXml(names)],
+        ['xl/_rels/workbook.xml.rels', workbookRelsXml(sheets.length)],
+        ['xl/styles.xml', STYLES_XML],
+        ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet)])
+    ];
+    return new Blob([zipStore(files)], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+}
+
+// ===== Sheets =====
+function sheetXml(sheet) {
+    const rows = sheet.rows || [];
+    const widths = [];
+
+    const rowsXml = rows.map((row, r) => {
+        const cells = row.map((cell, c) => {
+            const { value, style } = normalizeCell(cell);
+            const text = value === null ? '' : displayText(value);
+            widths[c] = Math.max(widths[c] || 0, Math.min(text.length, MAX_COLUMN_WIDTH));
+            return cellXml(`${columnName(c)}${r + 1}`, value, style);
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    const cols = widths.length > 0
+        ? `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.max(w, 6) + 2}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+
+    const freeze = sheet.freezeRows > 0
+        ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.freezeRows}" topLeftCell="A${sheet.freezeRows + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${freeze}${cols}<sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+function normalizeCell(cell) {
+    if (cell !== null && typeof cell === 'object' && !(cell instanceof Date)) {
+        return { value: cell.value === undefined ? null : cell.value, style: cell.style || 'default' };
+    }
+    return { value: cell === undefined ? null : cell, style: cell instanceof Date ? 'date' : 'default' };
+}
+
+function cellXml(ref, value, style) {
+    const s = STYLES[style] ? ` s="${STYLES[style]}"` : '';
+    if (value === null) {
+        return s ? `<c r="${ref}"${s}/>` : '';
+    }
+    if (typeof value === 'bigint') {
+        value = Number(value);
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? `<c r="${ref}"${s}><v>${value}</v></c>` : cellXml(ref, String(value), style);
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"${s}><v>${value ? 1 : 0}</v></c>`;
+    }
+    if (value instanceof Date) {
+        const serial = (value.getTime() - EXCEL_EPOCH) / MS_PER_DAY;
+        return `<c r="${ref}" s="${STYLES.date}"><v>${serial}</v></c>`;
+    }
+    const text = escapeXml(String(value).slice(0, MAX_CELL_TEXT));
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function displayText(value) {
+    return value instanceof Date ? 'yyyy-mm-dd hh:mm' : String(value);
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Sheet names: at most 31 characters, none of []:*?/\ and unique
+function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map((name, i) => {
+        const base = (String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+function escapeXml(str) {
+    return str
+        .replace(INVALID_XML, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ===== Workbook Parts =====
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+// Style ids match STYLES: bold header, date-time, 0.0% and 0.0
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="3"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/><numFmt numFmtId="165" formatCode="0.0%"/><numFmt numFmtId="166" formatCode="0.0"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="5"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+
+function contentTypesXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, i) =>
+        `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets}</Types>`;
+}
+
+function workbookXml(names) {
+    const sheets = names.map((name, i) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+    ).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets}</sheets></workbook>`;
+}
+
+function workbookRelsXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, i) =>
+        `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+    ).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets}<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+}
+
+// ===== Zip (stored) =====
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [[path, text]] -> Uint8Array of a zip archive without compression
+function zipStore(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(([path, text]) => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(text);
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+
+    // 1980-01-01 00:00, the earliest DOS date
+    const dosTime = 0;
+    const dosDate = (1 << 5) | 1;
+
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 8, 0, true);      // stored
+        view.setUint16(offset + 10, dosTime, true);
+        view.setUint16(offset + 12, dosDate, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        out.set(entry.name, offset + 30);
+        out.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, dosTime, true);
+        view.setUint16(offset + 14, dosDate, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        // extra, comment, disk, internal and external attributes stay 0
+        view.setUint32(offset + 42, entry.offset, true);
+        out.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return out;
+}
+
+// ===== Query Results =====
+// A sheet from a DuckDB (Arrow) result: cells are typed from the column types,
+// so numbers, booleans and timestamps stay numbers and dates in Excel, and
+// the header row is frozen
+export function resultSheet(name, fields, rows) {
+    const converters = fields.map(field => cellConverter(field.type));
+    return {
+        name,
+        freezeRows: 1,
+        rows: [
+            fields.map(field => ({ value: field.name, style: 'bold' })),
+            ...rows.map(row => fields.map((field, i) => converters[i](row[field.name])))
+        ]
+    };
+}
+
+function cellConverter(type) {
+    const name = String(type);
+    const typed = convert => value => value === null || value === undefined ? null : convert(value);
+
+    if (/^(Int|Uint|Float)/.test(name)) {
+        return typed(value => Number(value));
+    }
+    if (name.startsWith('Decimal')) {
+        // Arrow hands decimals over unscaled
+        const scale = 10 ** (type.scale || 0);
+        return typed(value => Number(String(value)) / scale);
+    }
+    if (name === 'Bool') {
+        return typed(value => Boolean(value));
+    }
+    if (/^(Timestamp|Date)/.test(name)) {
+        // Epoch milliseconds; timestamps without a zone keep their wall time
+        return typed(value => value instanceof Date ? value : new Date(Number(value)));
+    }
+    // Lists and structs as JSON, everything else as text
+    return typed(value => typeof value.toJSON === 'function' ? JSON.stringify(value.toJSON()) : String(value));
+}
@@ -0,0 +1,168 @@
+// ===== Service Worker =====
+// Caches the app shell, the survey data and the third-party bundles so the
+// explorer works offline after the first visit.
+//
+// - App shell and data: network first, with the cache as the offline
+//   fallback. The cached shell is replaced as a whole: every SHELL_FILES
+//   entry is fetched into a new cache, which takes over only once all of
+//   them arrived, so an offline load never mixes files from two deploys.
+//   This happens on install and after pages load from the network.
+// - Versioned third-party files (vendor/, jsDelivr, cdnjs, Google Fonts):
+//   cache-first, as their URLs change with the version.
+
+const SHELL_PREFIX = 'survey-shell-';
+const ASSET_CACHE = 'survey-assets';
+// Stored last in a shell cache, once every file is in it
+const SHELL_COMPLETE = 'shell-complete';
+// Pages loaded in quick succession (several embeds) share one refresh
+const REFRESH_INTERVAL = 60 * 1000;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'embed.html',
+    'favicon.svg',
+    'css/styles.css',
+    'js/app.js',
+    'js/assets.js',
+    'js/charts.js',
+    'js/codebook.js',
+    'js/config.js',
+    'js/customdata.js',
+    'js/database.js',
+    'js/datasets.js',
+    'js/filterexpr.js',
+    'js/multiselect.js',
+    'js/query.js',
+    'js/report.js',
+    'js/stats.js',
+    'js/urlstate.js',
+    'js/widgets.js',
+    'js/surveychart.js',
+    'js/xlsx.js',
+    'data/survey.parquet'
+];
+
+const ASSET_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(refreshShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== ASSET_CACHE && !key.startsWith(SHELL_PREFIX))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.includes('/vendor/')) {
+            event.respondWith(cacheFirst(request));
+        } else if (request.mode === 'navigate') {
+            // Shared links carry state in the query string; serve the one page
+            event.respondWith(networkFirst(event, url.origin + url.pathname));
+        } else {
+            event.respondWith(networkFirst(event, request));
+        }
+        return;
+    }
+
+    if (ASSET_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Anything else (analytics) goes to the network untouched
+});
+
+// Opaque responses (no-CORS stylesheets) can't be inspected but are still
+// worth keeping
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(ASSET_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Online, same-origin files always come from the network. A page that
+// loaded from the network also refreshes the cached shell in the background.
+async function networkFirst(event, key) {
+    try {
+        const response = await fetch(event.request);
+        if (event.request.mode === 'navigate' && response.ok) {
+            event.waitUntil(refreshShell().catch(() => {}));
+        }
+        return response;
+    } catch (error) {
+        const shell = await currentShell();
+        const cached = shell && await shell.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// ===== Shell Cache =====
+
+let refreshing = null;
+let refreshedAt = 0;
+
+function refreshShell() {
+    if (!refreshing && Date.now() - refreshedAt >= REFRESH_INTERVAL) {
+        refreshing = fillShellCache()
+            .then(() => { refreshedAt = Date.now(); })
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing || Promise.resolve();
+}
+
+// Fetch every shell file into a new cache, then drop the older ones. If any
+// file fails the new cache is discarded and the current one stays in use.
+async function fillShellCache() {
+    const name = `${SHELL_PREFIX}${Date.now()}`;
+    const cache = await caches.open(name);
+    try {
+        // no-cache revalidates with the server, so unchanged files are a 304
+        await cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'no-cache' })));
+        await cache.put(SHELL_COMPLETE, new Response(name));
+    } catch (error) {
+        await caches.delete(name);
+        throw error;
+    }
+
+    const keys = await caches.keys();
+    await Promise.all(keys
+        .filter(key => key.startsWith(SHELL_PREFIX) && key !== name)
+        .map(key => caches.delete(key)));
+}
+
+// The newest shell cache that was filled completely
+async function currentShell() {
+    const keys = (await caches.keys()).filter(key => key.startsWith(SHELL_PREFIX));
+    for (const key of keys.reverse()) {
+        const cache = await caches.open(key);
+        if (await cache.match(SHELL_COMPLETE)) return cache;
+    }
+    return null;
+}
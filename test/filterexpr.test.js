@@ -0,0 +1,72 @@
+// ===== Filter Expression Tests =====
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerSchema } from '../js/query.js';
+import { createGroup, normalizeExpression, compileExpression, describeExpression } from '../js/filterexpr.js';
+
+registerSchema('survey', ['response_id', 'role', 'org_size', 'team_focus']);
+
+const condition = (column, values, mode = 'include') => ({ type: 'condition', column, mode, values });
+
+test('normalizeExpression drops incomplete conditions and empty groups', () => {
+    const expression = {
+        type: 'group',
+        op: 'or',
+        children: [
+            condition('role', ['Data Engineer', 42]),
+            condition('org_size', []),
+            createGroup('and'),
+            { type: 'unknown' }
+        ]
+    };
+    assert.deepEqual(normalizeExpression(expression), {
+        type: 'group',
+        op: 'or',
+        negate: false,
+        children: [condition('role', ['Data Engineer'])]
+    });
+    assert.equal(normalizeExpression(createGroup()), null);
+    assert.equal(normalizeExpression('role = 1'), null);
+});
+
+test('normalizeExpression keeps only the given columns', () => {
+    const expression = { type: 'group', op: 'and', children: [condition('role', ['A']), condition('secret', ['B'])] };
+    assert.deepEqual(normalizeExpression(expression, ['role']).children, [condition('role', ['A'])]);
+});
+
+test('compileExpression binds every value as a parameter', () => {
+    const expression = normalizeExpression({
+        type: 'group',
+        op: 'or',
+        negate: true,
+        children: [condition('role', ['A', 'B']), condition('org_size', ['C'], 'exclude')]
+    });
+    const query = compileExpression(expression);
+    assert.match(query.text, /^NOT \(/);
+    assert.match(query.text, /role IN \(\?, \?\)/);
+    assert.match(query.text, /\n {4}OR \(org_size NOT IN \(\?\) OR org_size IS NULL\)/);
+    assert.deepEqual(query.params, ['A', 'B', 'C']);
+    assert.equal(compileExpression(null).text, '');
+});
+
+test('compileExpression matches multi-select answers through the bridge table', () => {
+    const query = compileExpression(condition('team_focus', ['ML / AI']));
+    assert.match(query.text, /survey\.response_id IN \(SELECT response_id FROM survey_team_focus WHERE option IN \(\?\)\)/);
+    assert.deepEqual(query.params, ['ML / AI']);
+});
+
+test('describeExpression uses labels and brackets nested groups', () => {
+    const expression = {
+        type: 'group',
+        op: 'and',
+        negate: false,
+        children: [
+            condition('role', ['A', 'B']),
+            { type: 'group', op: 'or', negate: true, children: [condition('org_size', ['C'], 'exclude')] }
+        ]
+    };
+    assert.equal(describeExpression(expression, { role: 'Role' }), 'Role: A / B AND NOT (org_size not C)');
+});
@@ -0,0 +1,54 @@
+// ===== Multi-select Tests =====
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerSchema } from '../js/query.js';
+import { MULTI_SELECT_OPTIONS, isMultiSelect, bridgeTable, createBridgeTablesSql, columnSource, matchValuesSql } from '../js/multiselect.js';
+
+registerSchema('survey', ['response_id', 'role', 'team_focus', 'ai_helps_with', 'modeling_pain_points']);
+
+test('isMultiSelect knows the checkbox questions', () => {
+    assert.equal(isMultiSelect('ai_helps_with'), true);
+    assert.equal(isMultiSelect('role'), false);
+});
+
+test('bridge tables match whole options, not comma-split pieces', () => {
+    const queries = createBridgeTablesSql();
+    assert.equal(queries.length, Object.keys(MULTI_SELECT_OPTIONS).length);
+
+    const aiHelps = queries.find(query => query.text.includes(bridgeTable('ai_helps_with')));
+    assert.ok(aiHelps.text.includes("'Writing Code (SQL, Python, etc)'"));
+    assert.ok(aiHelps.text.includes("'I don''t find AI helpful'"));
+    assert.ok(!aiHelps.text.includes('string_split'));
+    assert.deepEqual(aiHelps.params, []);
+});
+
+test('columnSource expands multi-select columns to one row per option', () => {
+    const multi = columnSource('team_focus');
+    assert.equal(multi.from.text, 'survey JOIN survey_team_focus AS item ON item.response_id = survey.response_id');
+    assert.equal(multi.expr.text, 'item.option');
+
+    const single = columnSource('role');
+    assert.equal(single.from.text, 'survey');
+    assert.equal(single.expr.text, 'role');
+});
+
+test('matchValuesSql binds values and treats no answer as not matching', () => {
+    const include = matchValuesSql('role', ['A', 'B']);
+    assert.equal(include.text, 'role IN (?, ?)');
+    assert.deepEqual(include.params, ['A', 'B']);
+
+    const exclude = matchValuesSql('role', ['A'], 'exclude');
+    assert.equal(exclude.text, '(role NOT IN (?) OR role IS NULL)');
+
+    const multi = matchValuesSql('team_focus', ['ML / AI'], 'exclude');
+    assert.equal(multi.text, 'survey.response_id NOT IN (SELECT response_id FROM survey_team_focus WHERE option IN (?))');
+    assert.deepEqual(multi.params, ['ML / AI']);
+});
+
+test('unknown columns are rejected', () => {
+    assert.throws(() => matchValuesSql('password', ['x']), /Unknown column/);
+    assert.throws(() => columnSource('team_focus', 'item', 'survey_custom'), /Unknown column/);
+});
@@ -0,0 +1,55 @@
+// ===== Query Builder Tests =====
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sql, raw, join, list, int, whereSql, column, table, registerSchema, hasColumn, toDisplaySql, EMPTY } from '../js/query.js';
+
+registerSchema('survey', ['role', 'org_size', 'Odd "name"']);
+
+test('sql turns values into parameters and inlines fragments', () => {
+    const query = sql`SELECT * FROM ${table('survey')} WHERE role = ${'Data Engineer'} LIMIT ${int(5)}`;
+    assert.equal(query.text, 'SELECT * FROM survey WHERE role = ? LIMIT 5');
+    assert.deepEqual(query.params, ['Data Engineer']);
+});
+
+test('join and list keep parameters in order', () => {
+    const query = join([sql`a = ${1}`, EMPTY, sql`b IN (${list(['x', 'y'])})`], ' AND ');
+    assert.equal(query.text, 'a = ? AND b IN (?, ?)');
+    assert.deepEqual(query.params, [1, 'x', 'y']);
+});
+
+test('int rejects anything but a non-negative integer', () => {
+    assert.equal(int('10').text, '10');
+    assert.throws(() => int(-1));
+    assert.throws(() => int('1; DROP TABLE survey'));
+});
+
+test('whereSql skips empty conditions', () => {
+    assert.equal(whereSql([]).text, '');
+    assert.equal(whereSql([EMPTY, null]).text, '');
+    const where = whereSql([sql`role = ${'A'}`, sql`org_size = ${'B'}`]);
+    assert.equal(where.text, 'WHERE role = ? AND org_size = ?');
+    assert.deepEqual(where.params, ['A', 'B']);
+});
+
+test('column only accepts registered columns and quotes odd names', () => {
+    assert.equal(column('role').text, 'role');
+    assert.equal(column('Odd "name"').text, '"Odd ""name"""');
+    assert.throws(() => column('password'), /Unknown column/);
+    assert.throws(() => column('role', 'survey_custom'), /Unknown column/);
+    assert.equal(hasColumn('org_size'), true);
+});
+
+test('toDisplaySql inlines parameters as literals', () => {
+    const query = sql`SELECT ${raw('1')} WHERE a = ${"O'Brien"} AND b = ${3} AND c = ${null} AND d = ${true}`;
+    assert.equal(toDisplaySql(query), "SELECT 1 WHERE a = 'O''Brien' AND b = 3 AND c = NULL AND d = true");
+});
+
+test('toDisplaySql leaves ? in strings, quoted names and comments alone', () => {
+    const query = sql`SELECT '?' AS "why?", ${'x'} -- really?
+        WHERE note = 'it''s ?' AND v = ${'y'}`;
+    assert.equal(toDisplaySql(query), `SELECT '?' AS "why?", 'x' -- really?
+        WHERE note = 'it''s ?' AND v = 'y'`);
+});